@@ -0,0 +1,124 @@
+// Structured dates for experience and education entries. The display string ("Dec 2024 – Jan 2025") is kept as
+// written; alongside it entries carry start and end months as "YYYY-MM" and `current` for ranges that run to the present.
+// A bare year starts in January and ends in December, so "2018 – 2020" spans 36 months.
+
+const MONTHS = ['jan', 'feb', 'mar', 'apr', 'may', 'jun', 'jul', 'aug', 'sep', 'oct', 'nov', 'dec'];
+const MONTH_NAMES = ['Jan', 'Feb', 'Mar', 'Apr', 'May', 'Jun', 'Jul', 'Aug', 'Sep', 'Oct', 'Nov', 'Dec'];
+const MONTH_PATTERN = /^\d{4}-(0[1-9]|1[0-2])$/;
+
+const MONTH_WORD = '(jan(?:uary)?|feb(?:ruary)?|mar(?:ch)?|apr(?:il)?|may|june?|july?|aug(?:ust)?|sep(?:t(?:ember)?)?|oct(?:ober)?|nov(?:ember)?|dec(?:ember)?)\\.?';
+// One date: "Mar 2019", "March, 2019", "03/2019", "2019-03" or "2019"
+const DATE_POINT = `(?:${MONTH_WORD}\\s*,?\\s*(\\d{4})|(\\d{1,2})\\/(\\d{4})|(\\d{4})-(\\d{2})(?!\\d)|(\\d{4}))`;
+const PRESENT = '(present|current|now|today|ongoing)';
+const RANGE_PATTERN = new RegExp(`${DATE_POINT}\\s*(?:-|–|—|to|until)\\s*(?:${DATE_POINT}|${PRESENT})`, 'i');
+const POINT_PATTERN = new RegExp(DATE_POINT, 'i');
+
+function pad(month) {
+    return String(month).padStart(2, '0');
+}
+
+// Reads one DATE_POINT match (7 capture groups) into { year, month } where month is null for a bare year
+function readPoint(groups) {
+    const [monthWord, monthWordYear, slashMonth, slashYear, isoYear, isoMonth, bareYear] = groups;
+    if (monthWordYear) return { year: Number(monthWordYear), month: MONTHS.indexOf(monthWord.slice(0, 3).toLowerCase()) + 1 };
+    if (slashYear) return { year: Number(slashYear), month: Number(slashMonth) };
+    if (isoYear) return { year: Number(isoYear), month: Number(isoMonth) };
+    if (bareYear) return { year: Number(bareYear), month: null };
+    return null;
+}
+
+function toMonth(point, fallbackMonth) {
+    if (!point || (point.month !== null && (point.month < 1 || point.month > 12))) return null;
+    return `${point.year}-${pad(point.month || fallbackMonth)}`;
+}
+
+// "Jan 2020 – Present" -> { start: '2020-01', end: null, current: true }; null when the text has no date in it
+function parseDateRange(text) {
+    if (typeof text !== 'string') return null;
+    const range = text.match(RANGE_PATTERN);
+    if (range) {
+        const start = toMonth(readPoint(range.slice(1, 8)), 1);
+        const current = Boolean(range[15]);
+        const end = current ? null : toMonth(readPoint(range.slice(8, 15)), 12);
+        if (!start || (!current && !end) || (end && start > end)) return null;
+        return { start, end, current };
+    }
+    const single = text.match(POINT_PATTERN);
+    if (single) {
+        const point = readPoint(single.slice(1, 8));
+        const start = toMonth(point, 1);
+        const end = toMonth(point, 12);
+        return start && end ? { start, end, current: false } : null;
+    }
+    return null;
+}
+
+function formatMonth(month) {
+    const [year, number] = month.split('-');
+    return `${MONTH_NAMES[Number(number) - 1]} ${year}`;
+}
+
+// { start, end, current } -> "Mar 2019 – May 2021", "Jan 2020 – Present", "May 2020"
+function formatDateRange({ start, end, current }) {
+    const from = start ? formatMonth(start) : '';
+    const to = current ? 'Present' : (end ? formatMonth(end) : '');
+    if (from && to && from !== to) return `${from} – ${to}`;
+    return from || to || null;
+}
+
+function isMonth(value) {
+    return typeof value === 'string' && MONTH_PATTERN.test(value);
+}
+
+function currentMonth(now = new Date()) {
+    return `${now.getFullYear()}-${pad(now.getMonth() + 1)}`;
+}
+
+function monthIndex(month) {
+    const [year, number] = month.split('-').map(Number);
+    return year * 12 + number - 1;
+}
+
+// Reverse-chronological: ongoing entries first, then by end month, then start month. Undated entries go last,
+// and entries that tie keep their original order.
+function sortByDate(entries) {
+    const sortKey = entry => (entry.current ? '9999-99' : entry.end || entry.start || '');
+    return entries
+        .map((entry, index) => ({ entry, index }))
+        .sort((a, b) => sortKey(b.entry).localeCompare(sortKey(a.entry))
+            || (b.entry.start || '').localeCompare(a.entry.start || '')
+            || a.index - b.index)
+        .map(({ entry }) => entry);
+}
+
+// Years covered by the experience entries to one decimal place, counting overlapping jobs once; null when undated
+function totalYearsOfExperience(experience, now = new Date()) {
+    const ranges = experience
+        .filter(entry => entry.start)
+        .map(entry => [monthIndex(entry.start), monthIndex(entry.current ? currentMonth(now) : entry.end || entry.start)])
+        .filter(([start, end]) => end >= start)
+        .sort((a, b) => a[0] - b[0]);
+    if (ranges.length === 0) return null;
+
+    let months = 0;
+    let [spanStart, spanEnd] = ranges[0];
+    for (const [start, end] of ranges.slice(1)) {
+        if (start > spanEnd + 1) {
+            months += spanEnd - spanStart + 1;
+            [spanStart, spanEnd] = [start, end];
+        } else {
+            spanEnd = Math.max(spanEnd, end);
+        }
+    }
+    months += spanEnd - spanStart + 1;
+    return Math.round((months / 12) * 10) / 10;
+}
+
+// 8.4 -> "8+ years"; null below a year, where a number says little
+function formatYearsOfExperience(years) {
+    if (!years || years < 1) return null;
+    const whole = Math.floor(years);
+    return `${whole}${years > whole ? '+' : ''} year${whole === 1 && years === whole ? '' : 's'}`;
+}
+
+module.exports = { parseDateRange, formatDateRange, isMonth, sortByDate, totalYearsOfExperience, formatYearsOfExperience };
@@ -0,0 +1,45 @@
+const crypto = require('crypto');
+
+// Edit tokens are handed to the creator once; only their SHA-256 hash is stored with the portfolio
+function generateEditToken() {
+    return crypto.randomBytes(32).toString('base64url');
+}
+
+function hashEditToken(token) {
+    return crypto.createHash('sha256').update(String(token)).digest('hex');
+}
+
+function verifyEditToken(token, storedHash) {
+    if (!token || !storedHash) return false;
+    const given = Buffer.from(hashEditToken(token), 'hex');
+    const expected = Buffer.from(storedHash, 'hex');
+    return given.length === expected.length && crypto.timingSafeEqual(given, expected);
+}
+
+// Accepts "Authorization: Bearer <token>" or "X-Edit-Token: <token>"
+function readEditToken(headers) {
+    const authorization = headers['authorization'] || '';
+    const match = authorization.match(/^Bearer\s+(.+)$/i);
+    if (match) return match[1].trim();
+    return headers['x-edit-token'] || null;
+}
+
+// Whether a request may modify the portfolio: null if so, else { status, error } to answer with
+function checkEditToken(portfolio, headers) {
+    if (!portfolio) {
+        return { status: 404, error: 'Portfolio not found' };
+    }
+    // Portfolios from before edit tokens have neither field; scripts/issue-edit-token.js gives them one
+    if (!portfolio.editTokenHash && !portfolio.editTokenRevokedAt) {
+        return { status: 403, error: 'This portfolio was created before edit tokens. Ask the site operator to issue one for it.' };
+    }
+    if (!portfolio.editTokenHash) {
+        return { status: 403, error: 'Editing has been disabled for this portfolio.' };
+    }
+    if (!verifyEditToken(readEditToken(headers), portfolio.editTokenHash)) {
+        return { status: 401, error: 'A valid edit token is required to modify this portfolio.' };
+    }
+    return null;
+}
+
+module.exports = { generateEditToken, hashEditToken, verifyEditToken, readEditToken, checkEditToken };
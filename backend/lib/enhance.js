@@ -0,0 +1,111 @@
+// AI rewrites of a single portfolio section: the summary, one experience entry's bullets or one project description.
+// Shared by the Express server and the Netlify functions.
+const { extractJson } = require('./resume-ai');
+
+const SECTIONS = ['summary', 'experience', 'project'];
+const TONES = ['professional', 'confident', 'friendly', 'technical', 'concise'];
+const LENGTHS = ['shorter', 'same', 'longer'];
+const MAX_VARIANTS = 3;
+const MAX_INPUT_LENGTH = 4000;
+
+const LENGTH_INSTRUCTIONS = {
+    shorter: 'Make it noticeably shorter than the original.',
+    same: 'Keep it about the same length as the original.',
+    longer: 'Make it somewhat longer than the original, adding detail only where the original implies it.'
+};
+
+const SECTION_INSTRUCTIONS = {
+    summary: 'Rewrite this professional summary for a portfolio website. Each variant is a single paragraph string.',
+    experience: 'Rewrite the description bullets of this work experience entry. Start each bullet with a strong action verb and quantify impact where the original gives numbers or scale. Each variant is an array of bullet strings without bullet characters.',
+    project: 'Rewrite this project description for a portfolio website, leading with what was built and its impact. Each variant is a single paragraph string.'
+};
+
+// Returns an error message for the request, or null when it's usable
+function validateEnhanceRequest({ section, content, tone, length, variants }) {
+    if (!SECTIONS.includes(section)) return `section must be one of: ${SECTIONS.join(', ')}.`;
+    if (tone !== undefined && !TONES.includes(tone)) return `tone must be one of: ${TONES.join(', ')}.`;
+    if (length !== undefined && !LENGTHS.includes(length)) return `length must be one of: ${LENGTHS.join(', ')}.`;
+    if (variants !== undefined && !(Number.isInteger(variants) && variants >= 1 && variants <= MAX_VARIANTS)) {
+        return `variants must be a whole number from 1 to ${MAX_VARIANTS}.`;
+    }
+    const text = sectionText(section, content);
+    if (!text.trim()) return 'There is nothing to enhance yet. Write a first draft and try again.';
+    if (text.length > MAX_INPUT_LENGTH) return `Please enhance at most ${MAX_INPUT_LENGTH} characters at a time.`;
+    return null;
+}
+
+// The text the model works on. Experience and project entries are sent with their titles for context.
+function sectionText(section, content) {
+    if (typeof content === 'string') return content;
+    if (section === 'summary') return '';
+    const entry = content && typeof content === 'object' ? content : {};
+    if (section === 'experience') {
+        const bullets = Array.isArray(entry.description) ? entry.description : [String(entry.description || '')];
+        return bullets.filter(bullet => typeof bullet === 'string' && bullet.trim()).join('\n');
+    }
+    return typeof entry.description === 'string' ? entry.description : '';
+}
+
+function buildPrompt({ section, content, tone, length, variants }) {
+    const entry = content && typeof content === 'object' ? content : {};
+    const context = section === 'experience'
+        ? `Role: ${entry.role || 'unknown'}\nCompany: ${entry.company || 'unknown'}\n`
+        : section === 'project' ? `Project: ${entry.title || 'untitled'}\n` : '';
+    return `
+        You are an expert resume writer. ${SECTION_INSTRUCTIONS[section]}
+        Write ${variants} distinct variant(s) in a ${tone} tone. ${LENGTH_INSTRUCTIONS[length]}
+        Never invent employers, numbers, technologies or achievements that the original does not mention.
+        Respond with ONLY a JSON object of the form {"variants": [...]}, without any markdown formatting.
+
+        --- ORIGINAL ---
+        ${context}${sectionText(section, content)}
+    `;
+}
+
+function normalizeVariant(section, variant) {
+    if (section === 'experience') {
+        const bullets = Array.isArray(variant) ? variant : String(variant || '').split('\n');
+        const cleaned = bullets
+            .filter(bullet => typeof bullet === 'string')
+            .map(bullet => bullet.replace(/^\s*[•●▪·*-]\s*/, '').trim())
+            .filter(Boolean);
+        return cleaned.length > 0 ? cleaned : null;
+    }
+    const text = Array.isArray(variant) ? variant.join(' ') : variant;
+    return typeof text === 'string' && text.trim() ? text.trim() : null;
+}
+
+// Returns { section, tone, length, original, variants } where variants are strings (summary, project)
+// or arrays of bullet strings (experience). Throws when the model fails or returns nothing usable.
+async function enhanceSection(llm, request) {
+    const options = {
+        section: request.section,
+        content: request.content,
+        tone: request.tone || 'professional',
+        length: request.length || 'same',
+        variants: request.variants || MAX_VARIANTS
+    };
+    const text = await llm.complete(buildPrompt(options), { task: `enhance-${options.section}`, json: true });
+
+    let response;
+    try {
+        response = JSON.parse(extractJson(text));
+    } catch (error) {
+        console.log("AI Response:", text);
+        throw new Error("AI model returned an invalid JSON format.");
+    }
+    const variants = (Array.isArray(response.variants) ? response.variants : [])
+        .map(variant => normalizeVariant(options.section, variant))
+        .filter(Boolean)
+        .slice(0, options.variants);
+    if (variants.length === 0) {
+        throw new Error("AI model returned no usable variants.");
+    }
+
+    const original = options.section === 'experience'
+        ? sectionText('experience', options.content).split('\n').filter(bullet => bullet.trim())
+        : sectionText(options.section, options.content);
+    return { section: options.section, tone: options.tone, length: options.length, original, variants };
+}
+
+module.exports = { SECTIONS, TONES, LENGTHS, MAX_VARIANTS, validateEnhanceRequest, enhanceSection };
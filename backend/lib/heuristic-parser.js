@@ -0,0 +1,291 @@
+// Rule-based resume parser. Produces the same shape as the AI parser from the raw pdf-parse text,
+// without sending the resume anywhere: used when the AI call fails, or on request for privacy.
+const { skillCategory } = require('./skills');
+
+// Section headings as they commonly appear on resumes, matched case-insensitively against a whole line
+const SECTION_HEADINGS = {
+    summary: ['summary', 'professional summary', 'career summary', 'profile', 'professional profile', 'objective', 'career objective', 'about me', 'about'],
+    skills: ['skills', 'technical skills', 'key skills', 'core skills', 'core competencies', 'competencies', 'technologies', 'tech stack', 'skills & tools', 'skills and tools'],
+    experience: ['experience', 'work experience', 'professional experience', 'employment', 'employment history', 'work history', 'career history', 'internships', 'internship experience'],
+    projects: ['projects', 'personal projects', 'key projects', 'academic projects', 'selected projects', 'side projects'],
+    education: ['education', 'academic background', 'academics', 'education & training', 'education and training', 'qualifications', 'academic qualifications'],
+    certifications: ['certifications', 'certificates', 'certification', 'licenses & certifications', 'licenses and certifications', 'certifications & licenses'],
+    awards: ['awards', 'honors', 'honours', 'achievements', 'awards & honors', 'awards and honors', 'honors & awards', 'honors and awards', 'awards & achievements'],
+    languages: ['languages', 'spoken languages', 'language skills', 'language proficiency'],
+    publications: ['publications', 'selected publications', 'papers', 'research papers'],
+    // Recognised only so they end the previous section; their content isn't part of the schema
+    other: ['interests', 'hobbies', 'references', 'volunteering', 'volunteer experience', 'activities', 'courses']
+};
+
+const EMAIL_PATTERN = /[A-Za-z0-9._%+-]+@[A-Za-z0-9.-]+\.[A-Za-z]{2,}/;
+const PHONE_PATTERN = /(?:\+?\d{1,3}[\s.-]?)?(?:\(\d{2,4}\)[\s.-]?)?\d[\d\s.-]{6,}\d/g;
+const URL_PATTERN = /(?:https?:\/\/)?(?:www\.)?[A-Za-z0-9-]+(?:\.[A-Za-z0-9-]+)*\.[A-Za-z]{2,}(?:\/[^\s,;|]*)?/g;
+const LINKEDIN_PATTERN = /linkedin\.com\/in\/([A-Za-z0-9_-]+)/i;
+const GITHUB_PATTERN = /github\.com\/([A-Za-z0-9_-]+)/i;
+const BULLET_PATTERN = /^\s*(?:[•●▪◦‣∙·*-]|\d+[.)])\s+/;
+
+const MONTH = '(?:jan(?:uary)?|feb(?:ruary)?|mar(?:ch)?|apr(?:il)?|may|june?|july?|aug(?:ust)?|sep(?:t(?:ember)?)?|oct(?:ober)?|nov(?:ember)?|dec(?:ember)?)\\.?';
+const DATE_POINT = `(?:${MONTH}\\s*,?\\s*\\d{4}|\\d{1,2}\\/\\d{4}|\\d{4})`;
+const DATE_RANGE_PATTERN = new RegExp(`${DATE_POINT}\\s*(?:-|–|—|to|until)\\s*(?:${DATE_POINT}|present|current|now|today|ongoing)|${DATE_POINT}`, 'i');
+
+const INSTITUTION_PATTERN = /\b(?:university|college|institute|school|academy|polytechnic|conservatory)\b/i;
+const DEGREE_PATTERN = /\b(?:bachelor|master|doctor|ph\.?\s?d|mba|diploma|degree|associate|certificate|b\.?\s?(?:sc|tech|e|a|com|eng)|m\.?\s?(?:sc|tech|e|a|com|eng)|bs|ba|ms|ma)\b/i;
+const HEADER_SEPARATORS = /\s+(?:at|@)\s+|\s*[|,]\s*|\s+[-–—]\s+/i;
+
+function cleanLine(line) {
+    return line.replace(/\s+/g, ' ').trim();
+}
+
+function headingFor(line) {
+    const text = cleanLine(line).replace(/[:：]$/, '').toLowerCase();
+    if (!text || text.length > 40) return null;
+    for (const [section, headings] of Object.entries(SECTION_HEADINGS)) {
+        if (headings.includes(text)) return section;
+    }
+    return null;
+}
+
+// Splits the text into { header: [...lines before the first heading], summary: [...], skills: [...], ... }
+function splitSections(lines) {
+    const sections = { header: [] };
+    let current = 'header';
+    for (const line of lines) {
+        const section = headingFor(line);
+        if (section) {
+            current = section;
+            sections[current] = sections[current] || [];
+            continue;
+        }
+        sections[current].push(line);
+    }
+    return sections;
+}
+
+function findDates(line) {
+    const match = line.match(DATE_RANGE_PATTERN);
+    return match ? cleanLine(match[0]) : null;
+}
+
+function withoutDates(line) {
+    return cleanLine(line.replace(DATE_RANGE_PATTERN, '').replace(/[|,–—-]\s*$/, '').replace(/^\s*[|,–—-]/, ''));
+}
+
+function isBullet(line) {
+    return BULLET_PATTERN.test(line);
+}
+
+function stripBullet(line) {
+    return cleanLine(line.replace(BULLET_PATTERN, ''));
+}
+
+function extractPersonalInfo(lines, text) {
+    const email = (text.match(EMAIL_PATTERN) || [])[0] || null;
+    const linkedinMatch = text.match(LINKEDIN_PATTERN);
+    const githubMatch = text.match(GITHUB_PATTERN);
+
+    // Phone numbers are only looked for in the header so date ranges elsewhere aren't mistaken for one
+    const headerText = lines.join('\n');
+    const phone = (headerText.replace(EMAIL_PATTERN, '').match(PHONE_PATTERN) || [])
+        .find(candidate => candidate.replace(/\D/g, '').length >= 7 && !/^\d{4}\s*[-–]\s*\d{4}$/.test(candidate.trim()));
+
+    const website = (headerText.match(URL_PATTERN) || []).find(url =>
+        !/linkedin\.com|github\.com/i.test(url) && !(email && email.includes(url.replace(/^https?:\/\//, '')))
+    ) || null;
+
+    // The name is almost always the first short line without contact details in it
+    const name = lines.map(cleanLine).find(line =>
+        line && line.split(' ').length <= 5 && !/[\d@/:]/.test(line) && !headingFor(line)
+    ) || null;
+
+    return {
+        name,
+        email,
+        phone: phone ? cleanLine(phone) : null,
+        website: website && !/^https?:\/\//.test(website) ? `https://${website}` : website,
+        linkedin: linkedinMatch ? linkedinMatch[1] : null,
+        github: githubMatch ? githubMatch[1] : null
+    };
+}
+
+function extractSummary(lines) {
+    const summary = lines.map(cleanLine).filter(Boolean).join(' ');
+    return summary || null;
+}
+
+function extractSkills(lines) {
+    const skills = [];
+    for (const line of lines) {
+        // "Languages: JavaScript, Python" -> drop the category label
+        const content = stripBullet(line).replace(/^[^:]{1,30}:\s*/, '');
+        for (const part of content.split(/[,;|•●▪·]|\s{2,}|\s\/\s/)) {
+            const skill = cleanLine(part).replace(/\.$/, '');
+            if (skill && skill.length <= 40 && !skills.some(existing => existing.toLowerCase() === skill.toLowerCase())) {
+                skills.push(skill);
+            }
+        }
+    }
+    return skills;
+}
+
+// Groups a section's lines into entries: header lines (title, organisation, dates) followed by their description
+function groupEntries(lines) {
+    const entries = [];
+    let current = null;
+    for (const rawLine of lines) {
+        const line = cleanLine(rawLine);
+        if (!line) continue;
+
+        if (isBullet(rawLine)) {
+            if (!current) {
+                current = { header: [], dates: null, description: [] };
+                entries.push(current);
+            }
+            current.description.push(stripBullet(rawLine));
+            continue;
+        }
+
+        const dates = findDates(line);
+        const startsNew = !current
+            || current.description.length > 0
+            || (dates && current.dates);
+        // Wrapped description lines continue the previous bullet rather than starting a new entry
+        if (current && current.description.length > 0 && !dates && /^[a-z(]/.test(line)) {
+            current.description[current.description.length - 1] += ` ${line}`;
+            continue;
+        }
+        if (startsNew) {
+            current = { header: [], dates: null, description: [] };
+            entries.push(current);
+        }
+        if (dates && !current.dates) {
+            current.dates = dates;
+            const rest = withoutDates(line);
+            if (rest) current.header.push(rest);
+        } else {
+            current.header.push(line);
+        }
+    }
+    return entries;
+}
+
+function splitHeader(header) {
+    if (header.length >= 2) return [header[0], header[1]];
+    const parts = (header[0] || '').split(HEADER_SEPARATORS).map(cleanLine).filter(Boolean);
+    return [parts[0] || null, parts.slice(1).join(', ') || null];
+}
+
+function extractExperience(lines) {
+    return groupEntries(lines).map(entry => {
+        const [role, company] = splitHeader(entry.header);
+        return {
+            company,
+            role,
+            dates: entry.dates,
+            description: entry.description
+        };
+    });
+}
+
+function extractProjects(lines) {
+    return groupEntries(lines).map(entry => {
+        const text = [...entry.header, ...entry.description].join(' ');
+        const link = (text.match(URL_PATTERN) || []).find(url => url.includes('/') || url.startsWith('www.')) || null;
+        const title = entry.header.length > 0
+            ? cleanLine(entry.header[0].split(HEADER_SEPARATORS)[0].replace(URL_PATTERN, ''))
+            : null;
+        const description = [...entry.header.slice(1), ...entry.description].join(' ').trim();
+        return {
+            title: title || null,
+            description: description || null,
+            link: link && !/^https?:\/\//.test(link) ? `https://${link}` : link
+        };
+    });
+}
+
+function extractEducation(lines) {
+    const entries = [];
+    let current = null;
+    for (const rawLine of lines) {
+        const line = cleanLine(stripBullet(rawLine));
+        if (!line) continue;
+        const dates = findDates(line);
+        const rest = dates ? withoutDates(line) : line;
+        const isInstitution = INSTITUTION_PATTERN.test(rest);
+        const isDegree = !isInstitution && DEGREE_PATTERN.test(rest);
+
+        if (!current
+            || (isInstitution && current.institution)
+            || (isDegree && current.degree)
+            || (dates && current.dates)) {
+            current = { institution: null, degree: null, dates: null };
+            entries.push(current);
+        }
+        if (dates) current.dates = dates;
+        if (!rest) continue;
+        if (isInstitution) {
+            current.institution = rest;
+        } else if (isDegree || !current.degree) {
+            current.degree = current.degree ? `${current.degree}, ${rest}` : rest;
+        }
+    }
+    return entries.filter(entry => entry.institution || entry.degree);
+}
+
+// One entry per line, e.g. "AWS Certified Developer – Amazon Web Services, 2021": what it is, then who gave or published it
+function extractLineEntries(lines, titleField, sourceField) {
+    const entries = [];
+    for (const rawLine of lines) {
+        const line = stripBullet(rawLine);
+        if (!line) continue;
+        const link = (line.match(URL_PATTERN) || []).find(url => url.includes('/') || url.startsWith('www.')) || null;
+        const date = findDates(line);
+        let rest = link ? cleanLine(line.replace(link, '')) : line;
+        if (date) rest = withoutDates(rest);
+        const [title, ...source] = rest.split(HEADER_SEPARATORS).map(cleanLine).filter(Boolean);
+        if (!title) continue;
+        entries.push({
+            [titleField]: title,
+            [sourceField]: source.join(', ') || null,
+            date,
+            link: link && !/^https?:\/\//.test(link) ? `https://${link}` : link
+        });
+    }
+    return entries;
+}
+
+// "English (Native), Spanish – Fluent" -> [{ language: 'English', proficiency: 'Native' }, ...]
+function extractLanguages(lines) {
+    const languages = [];
+    for (const line of lines) {
+        for (const part of stripBullet(line).split(/[,;|•●▪·]/)) {
+            const match = cleanLine(part).match(/^(.+?)\s*(?:\((.+)\)|[:–—-]\s*(.+))?$/);
+            if (!match || match[1].length > 30) continue;
+            languages.push({ language: match[1], proficiency: match[2] || match[3] || null });
+        }
+    }
+    return languages;
+}
+
+function parseResumeHeuristically(resumeText) {
+    const text = String(resumeText || '');
+    const lines = text.split(/\r?\n/).filter(line => line.trim());
+    const sections = splitSections(lines);
+    // A "Languages" section on a developer resume usually lists programming languages, which are skills
+    const languages = extractLanguages(sections.languages || []);
+    const programming = languages.filter(entry => skillCategory(entry.language) === 'languages');
+
+    return {
+        personalInfo: extractPersonalInfo(sections.header, text),
+        summary: extractSummary(sections.summary || []),
+        skills: [...extractSkills(sections.skills || []), ...programming.map(entry => entry.language)],
+        experience: extractExperience(sections.experience || []),
+        projects: extractProjects(sections.projects || []),
+        education: extractEducation(sections.education || []),
+        certifications: extractLineEntries(sections.certifications || [], 'name', 'issuer'),
+        awards: extractLineEntries(sections.awards || [], 'title', 'issuer').map(({ link, ...award }) => ({ ...award, description: null })),
+        languages: languages.filter(entry => !programming.includes(entry)),
+        publications: extractLineEntries(sections.publications || [], 'title', 'publisher')
+    };
+}
+
+module.exports = { parseResumeHeuristically };
@@ -0,0 +1,62 @@
+// HTML templating for the server-rendered pages, shared by the Express server and the Netlify functions.
+// `html` is a tagged template that escapes every interpolated value for use in text and quoted attributes, unless
+// the value is already markup: the result of another `html` template, or a trusted string wrapped in `raw()`.
+// Arrays are rendered item by item; null, undefined and false render nothing.
+// Link targets go through safeUrl so only allow-listed URL schemes reach an href or src.
+const SAFE = Symbol('safe html');
+
+const ENTITIES = { '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', "'": '&#39;' };
+const LINK_SCHEMES = ['http', 'https', 'mailto', 'tel'];
+// Uploaded profile pictures are stored as base64 data URLs
+const IMAGE_DATA_URL = /^data:image\/(?:png|jpe?g|gif|webp);base64,[a-z0-9+/=\s]+$/i;
+
+function escapeHtml(value) {
+    return String(value).replace(/[&<>"']/g, char => ENTITIES[char]);
+}
+
+function raw(markup) {
+    return { [SAFE]: String(markup), toString() { return this[SAFE]; } };
+}
+
+function render(value) {
+    if (value === null || value === undefined || value === false) return '';
+    if (Array.isArray(value)) return value.map(render).join('');
+    if (typeof value === 'object' && SAFE in value) return value[SAFE];
+    return escapeHtml(value);
+}
+
+function html(strings, ...values) {
+    return raw(strings.reduce((markup, string, index) => markup + string + (index < values.length ? render(values[index]) : ''), ''));
+}
+
+// The URL if its scheme is allowed, else null. Scheme-less addresses ("janedoe.dev") are taken as https and
+// site-relative paths are kept, but protocol-relative ones ("//host") are not; `images: true` also allows uploaded
+// image data URLs, for img src.
+function safeUrl(url, { images = false } = {}) {
+    if (typeof url !== 'string' || !url.trim()) return null;
+    const value = url.trim();
+    // Browsers ignore whitespace and control characters inside the scheme ("java\tscript:")
+    const compact = value.replace(/[\u0000- ]/g, '');
+    const scheme = compact.match(/^([a-z][a-z0-9+.-]*):/i);
+    if (!scheme) {
+        // Browsers read "\" as "/", so "/\host" leaves the site just like "//host"
+        if (/^[\\/]{2}/.test(compact)) return null;
+        return value.startsWith('/') ? value : `https://${value}`;
+    }
+    const name = scheme[1].toLowerCase();
+    if (LINK_SCHEMES.includes(name)) return value;
+    if (name === 'data' && images && isImageDataUrl(value)) return value;
+    return null;
+}
+
+// Whether a URL is an uploaded PNG, JPEG, GIF or WebP data URL: the only data URLs served or rendered as images
+function isImageDataUrl(url) {
+    return typeof url === 'string' && IMAGE_DATA_URL.test(url.trim());
+}
+
+// Whether a profile picture sent by the editor can be stored: an image data URL or an http(s) address
+function isImageSource(url) {
+    return isImageDataUrl(url) || (typeof url === 'string' && /^https?:\/\//i.test(url.trim()));
+}
+
+module.exports = { html, raw, escapeHtml, safeUrl, isImageDataUrl, isImageSource };
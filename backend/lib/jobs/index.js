@@ -0,0 +1,44 @@
+const { createMemoryQueue } = require('./memory-queue');
+
+const DEFAULTS = {
+    concurrency: 2,
+    maxAttempts: 3,
+    retryDelayMs: 2000,
+    maxRetryDelayMs: 30000,
+    maxQueued: 100,
+    ttlMs: 60 * 60 * 1000
+};
+
+// Every queue exposes the same interface:
+//   register(type, handler), submit(type, payload) -> job, get(id) -> job | null
+// A job is { id, type, status, stage, attempts, maxAttempts, nextAttemptAt, result, error, createdAt, updatedAt, finishedAt }
+// where status is queued, running, retrying, succeeded or failed.
+// Handlers are called as handler(payload, { attempt, lastAttempt, progress(stage) }) and a thrown error with
+// `retryable` set is retried with exponential backoff until maxAttempts.
+//
+// Configured by env: JOB_QUEUE (driver, default "memory"), JOB_CONCURRENCY, JOB_MAX_ATTEMPTS, JOB_RETRY_DELAY_MS,
+// JOB_MAX_QUEUED and JOB_TTL_MS (how long finished jobs can be polled).
+//
+// Queues live in the Express server's process, so the job routes are Express-only: Netlify functions don't outlive
+// their request, and the Netlify deploy has no /api/generate-from-resume/jobs or /api/jobs/:id. There, generation
+// runs synchronously through /api/generate-from-resume and is bound by the function timeout.
+function createJobQueue(options = {}) {
+    const driver = options.driver || process.env.JOB_QUEUE || 'memory';
+    const settings = {
+        concurrency: Number(options.concurrency || process.env.JOB_CONCURRENCY) || DEFAULTS.concurrency,
+        maxAttempts: Number(options.maxAttempts || process.env.JOB_MAX_ATTEMPTS) || DEFAULTS.maxAttempts,
+        retryDelayMs: Number(options.retryDelayMs || process.env.JOB_RETRY_DELAY_MS) || DEFAULTS.retryDelayMs,
+        maxRetryDelayMs: DEFAULTS.maxRetryDelayMs,
+        maxQueued: Number(options.maxQueued || process.env.JOB_MAX_QUEUED) || DEFAULTS.maxQueued,
+        ttlMs: Number(options.ttlMs || process.env.JOB_TTL_MS) || DEFAULTS.ttlMs
+    };
+
+    switch (driver) {
+        case 'memory':
+            return createMemoryQueue(settings);
+        default:
+            throw new Error(`Unknown JOB_QUEUE "${driver}". Use memory.`);
+    }
+}
+
+module.exports = { createJobQueue };
@@ -0,0 +1,106 @@
+const crypto = require('crypto');
+
+// In-process job queue. Jobs live in this process's memory: they don't survive a restart and aren't shared
+// between instances. At most `concurrency` jobs run at once and the rest wait in submission order.
+function createMemoryQueue({ concurrency, maxAttempts, retryDelayMs, maxRetryDelayMs, maxQueued, ttlMs }) {
+    const handlers = new Map();
+    const jobs = new Map();
+    const waiting = [];
+    let running = 0;
+
+    function register(type, handler) {
+        handlers.set(type, handler);
+    }
+
+    // What clients see: everything but the payload, which can hold uploaded files
+    function view(job) {
+        const { payload, ...visible } = job;
+        return { ...visible };
+    }
+
+    function update(job, changes) {
+        Object.assign(job, changes, { updatedAt: new Date().toISOString() });
+    }
+
+    function finish(job, changes) {
+        update(job, { ...changes, payload: null, finishedAt: new Date().toISOString() });
+        // Finished jobs are kept for a while so clients can collect the result
+        setTimeout(() => jobs.delete(job.id), ttlMs).unref();
+    }
+
+    async function submit(type, payload) {
+        if (!handlers.has(type)) {
+            throw new Error(`No handler is registered for "${type}" jobs.`);
+        }
+        if (waiting.length >= maxQueued) {
+            const error = new Error('Too many jobs are waiting. Please try again in a minute.');
+            error.code = 'QUEUE_FULL';
+            throw error;
+        }
+        const now = new Date().toISOString();
+        const job = {
+            id: crypto.randomUUID(),
+            type,
+            status: 'queued',
+            stage: null,
+            attempts: 0,
+            maxAttempts,
+            nextAttemptAt: null,
+            result: null,
+            error: null,
+            createdAt: now,
+            updatedAt: now,
+            finishedAt: null,
+            payload
+        };
+        jobs.set(job.id, job);
+        waiting.push(job);
+        pump();
+        return view(job);
+    }
+
+    async function get(id) {
+        const job = jobs.get(id);
+        return job ? view(job) : null;
+    }
+
+    function pump() {
+        while (running < concurrency && waiting.length > 0) {
+            run(waiting.shift());
+        }
+    }
+
+    async function run(job) {
+        running++;
+        update(job, { status: 'running', attempts: job.attempts + 1, nextAttemptAt: null });
+        try {
+            const result = await handlers.get(job.type)(job.payload, {
+                attempt: job.attempts,
+                lastAttempt: job.attempts >= job.maxAttempts,
+                progress: stage => update(job, { stage })
+            });
+            finish(job, { status: 'succeeded', result, error: null });
+        } catch (error) {
+            const failure = { message: error.message, status: error.status || 500 };
+            // Handlers mark errors worth retrying (model timeouts, rate limits) as `retryable`
+            if (error.retryable && job.attempts < job.maxAttempts) {
+                const delay = Math.min(retryDelayMs * 2 ** (job.attempts - 1), maxRetryDelayMs);
+                update(job, { status: 'retrying', error: failure, nextAttemptAt: new Date(Date.now() + delay).toISOString() });
+                console.warn(`Job ${job.id} attempt ${job.attempts} failed, retrying in ${delay}ms: ${error.message}`);
+                setTimeout(() => {
+                    waiting.push(job);
+                    pump();
+                }, delay).unref();
+            } else {
+                finish(job, { status: 'failed', error: failure });
+            }
+        } finally {
+            running--;
+            pump();
+        }
+    }
+
+    return { register, submit, get };
+}
+
+module.exports = { createMemoryQueue };
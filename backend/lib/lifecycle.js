@@ -0,0 +1,45 @@
+// Portfolio lifecycle: published/unpublished state, optional expiry and the sweeper that purges expired records
+
+// 'available', 'unpublished' or 'expired'; records without the fields are published and never expire
+function getAvailability(record, now = new Date()) {
+    if (record.expiresAt && new Date(record.expiresAt) <= now) return 'expired';
+    if (record.published === false) return 'unpublished';
+    return 'available';
+}
+
+// Validates a client-supplied expiry. Returns an ISO string, or null to clear it; throws on bad input.
+function parseExpiresAt(value, now = new Date()) {
+    if (value === undefined || value === null || value === '') return null;
+    const date = new Date(value);
+    if (Number.isNaN(date.getTime())) {
+        throw new Error('expiresAt must be a valid ISO 8601 date.');
+    }
+    if (date <= now) {
+        throw new Error('expiresAt must be in the future.');
+    }
+    return date.toISOString();
+}
+
+// Delete every expired portfolio from the store; returns the number removed
+async function sweepExpired(store, now = new Date()) {
+    let removed = 0;
+    for (const id of await store.list()) {
+        const record = await store.get(id);
+        if (record && getAvailability(record, now) === 'expired' && await store.delete(id)) {
+            console.log(`Expired portfolio purged: ${id}`);
+            removed++;
+        }
+    }
+    return removed;
+}
+
+// Run sweepExpired on an interval without keeping the process alive
+function startExpirySweeper(store, intervalMs) {
+    const run = () => sweepExpired(store).catch(error => console.error("Error sweeping expired portfolios:", error));
+    const timer = setInterval(run, intervalMs);
+    timer.unref();
+    run();
+    return timer;
+}
+
+module.exports = { getAvailability, parseExpiresAt, sweepExpired, startExpirySweeper };
@@ -0,0 +1,17 @@
+const { GoogleGenerativeAI } = require('@google/generative-ai');
+
+function createGeminiProvider({ model, temperature, apiKey }) {
+    const genAI = new GoogleGenerativeAI(apiKey || process.env.GOOGLE_API_KEY);
+    const generationConfig = temperature === undefined ? undefined : { temperature };
+
+    return {
+        async complete(prompt) {
+            const generativeModel = genAI.getGenerativeModel({ model, generationConfig });
+            const result = await generativeModel.generateContent(prompt);
+            const response = await result.response;
+            return response.text();
+        }
+    };
+}
+
+module.exports = { createGeminiProvider };
@@ -0,0 +1,81 @@
+// Provider-agnostic access to the language model. Every provider exposes the same interface:
+//   complete(prompt, { task, json }) -> raw response text
+// `task` names the call ('parse-resume', 'classify-profession', ...) so the mock provider can pick a fixture;
+// `json` asks providers that support it for a JSON-only response.
+//
+// Configured by env: LLM_PROVIDER (gemini | openai | ollama | mock), LLM_MODEL, LLM_TEMPERATURE,
+// LLM_TIMEOUT_MS, and for HTTP providers LLM_BASE_URL / LLM_API_KEY.
+const DEFAULT_TIMEOUT_MS = 30000;
+
+const DEFAULT_MODELS = {
+    gemini: 'gemini-1.5-flash',
+    openai: 'gpt-4o-mini',
+    ollama: 'llama3.1',
+    mock: 'fixtures'
+};
+
+function parseTemperature(value) {
+    if (value === undefined || value === null || value === '') return undefined;
+    const temperature = Number(value);
+    if (Number.isNaN(temperature)) {
+        throw new Error(`LLM_TEMPERATURE must be a number, got "${value}".`);
+    }
+    return temperature;
+}
+
+function createProvider(driver, config) {
+    switch (driver) {
+        case 'gemini': {
+            const { createGeminiProvider } = require('./gemini-provider');
+            return createGeminiProvider(config);
+        }
+        case 'openai': {
+            const { createOpenAiProvider } = require('./openai-provider');
+            return createOpenAiProvider(config);
+        }
+        case 'ollama': {
+            const { createOllamaProvider } = require('./ollama-provider');
+            return createOllamaProvider(config);
+        }
+        case 'mock': {
+            const { createMockProvider } = require('./mock-provider');
+            return createMockProvider(config);
+        }
+        default:
+            throw new Error(`Unknown LLM_PROVIDER "${driver}". Use gemini, openai, ollama or mock.`);
+    }
+}
+
+function createLlm(options = {}) {
+    const driver = options.provider || process.env.LLM_PROVIDER || 'gemini';
+    const timeoutMs = Number(options.timeoutMs || process.env.LLM_TIMEOUT_MS) || DEFAULT_TIMEOUT_MS;
+    const config = {
+        model: options.model || process.env.LLM_MODEL || DEFAULT_MODELS[driver],
+        temperature: parseTemperature(options.temperature ?? process.env.LLM_TEMPERATURE),
+        baseUrl: options.baseUrl || process.env.LLM_BASE_URL,
+        apiKey: options.apiKey || process.env.LLM_API_KEY,
+        fixturesDir: options.fixturesDir || process.env.LLM_FIXTURES_DIR
+    };
+    const provider = createProvider(driver, config);
+
+    // Every call is bounded by the timeout; HTTP providers also get the signal so the request itself is aborted
+    async function complete(prompt, callOptions = {}) {
+        const controller = new AbortController();
+        let timer;
+        const timeout = new Promise((resolve, reject) => {
+            timer = setTimeout(() => {
+                controller.abort();
+                reject(new Error(`${driver} request timed out after ${timeoutMs}ms`));
+            }, timeoutMs);
+        });
+        try {
+            return await Promise.race([provider.complete(prompt, { ...callOptions, signal: controller.signal }), timeout]);
+        } finally {
+            clearTimeout(timer);
+        }
+    }
+
+    return { provider: driver, model: config.model, complete };
+}
+
+module.exports = { createLlm };
@@ -0,0 +1,26 @@
+const fs = require('fs');
+const path = require('path');
+
+const DEFAULT_FIXTURES_DIR = path.join(__dirname, 'fixtures');
+
+// Offline provider for development and tests: answers each task with the contents of fixtures/<task>.json or .txt
+function createMockProvider({ fixturesDir }) {
+    const dir = fixturesDir || DEFAULT_FIXTURES_DIR;
+
+    return {
+        async complete(prompt, { task } = {}) {
+            if (!task) {
+                throw new Error('The mock LLM provider needs a task name to choose a fixture.');
+            }
+            for (const extension of ['.json', '.txt']) {
+                const file = path.join(dir, task + extension);
+                if (fs.existsSync(file)) {
+                    return fs.promises.readFile(file, 'utf8');
+                }
+            }
+            throw new Error(`No mock LLM fixture for task "${task}" in ${dir}`);
+        }
+    };
+}
+
+module.exports = { createMockProvider };
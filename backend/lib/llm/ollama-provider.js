@@ -0,0 +1,28 @@
+// Local models served by Ollama's HTTP API
+function createOllamaProvider({ model, temperature, baseUrl }) {
+    const endpoint = `${(baseUrl || process.env.OLLAMA_HOST || 'http://localhost:11434').replace(/\/+$/, '')}/api/generate`;
+
+    return {
+        async complete(prompt, { json, signal } = {}) {
+            const response = await fetch(endpoint, {
+                method: 'POST',
+                headers: { 'Content-Type': 'application/json' },
+                body: JSON.stringify({
+                    model,
+                    prompt,
+                    stream: false,
+                    ...(json ? { format: 'json' } : {}),
+                    ...(temperature === undefined ? {} : { options: { temperature } })
+                }),
+                signal
+            });
+            if (!response.ok) {
+                throw new Error(`Ollama responded ${response.status}: ${await response.text()}`);
+            }
+            const body = await response.json();
+            return body.response;
+        }
+    };
+}
+
+module.exports = { createOllamaProvider };
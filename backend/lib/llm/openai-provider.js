@@ -0,0 +1,30 @@
+// Any OpenAI-compatible chat completions endpoint (OpenAI, Azure-style proxies, LM Studio, vLLM, ...)
+function createOpenAiProvider({ model, temperature, baseUrl, apiKey }) {
+    const endpoint = `${(baseUrl || 'https://api.openai.com/v1').replace(/\/+$/, '')}/chat/completions`;
+    const key = apiKey || process.env.OPENAI_API_KEY;
+
+    return {
+        async complete(prompt, { signal } = {}) {
+            const response = await fetch(endpoint, {
+                method: 'POST',
+                headers: {
+                    'Content-Type': 'application/json',
+                    ...(key ? { Authorization: `Bearer ${key}` } : {})
+                },
+                body: JSON.stringify({
+                    model,
+                    temperature,
+                    messages: [{ role: 'user', content: prompt }]
+                }),
+                signal
+            });
+            if (!response.ok) {
+                throw new Error(`OpenAI-compatible endpoint responded ${response.status}: ${await response.text()}`);
+            }
+            const body = await response.json();
+            return body.choices[0].message.content;
+        }
+    };
+}
+
+module.exports = { createOpenAiProvider };
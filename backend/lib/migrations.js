@@ -0,0 +1,116 @@
+// Stored records carry a schemaVersion and older ones are upgraded when they're read, so everything past the store
+// sees one shape. Versions:
+//   1  flat data from the original Netlify function: { name, title, bio, email, linkedin, github, skills, projects, profession }
+//   2  nested data (personalInfo, summary, experience, projects, education) saved before the schema was enforced
+//   3  data as portfolio-schema.js writes it (canonical skills, structured dates, derived fields), revisions included
+//   4  adds the certifications, awards, languages and publications sections
+//   5  adds customSections
+//   6  themes are registry themes (see themes.js) rather than copies of the old class-based theme objects
+// Records without a schemaVersion are version 1 or 2 depending on their shape.
+const { repairPortfolioData } = require('./portfolio-schema');
+const { themeForProfession } = require('./professions');
+const { migrateTheme } = require('./themes');
+
+const CURRENT_SCHEMA_VERSION = 6;
+
+function isPlainObject(value) {
+    return value !== null && typeof value === 'object' && !Array.isArray(value);
+}
+
+function detectSchemaVersion(record) {
+    if (Number.isInteger(record.schemaVersion)) return record.schemaVersion;
+    const data = isPlainObject(record.data) ? record.data : {};
+    const isFlat = !('personalInfo' in data) && ['name', 'title', 'bio'].some(field => field in data);
+    return isFlat ? 1 : 2;
+}
+
+// The flat shape has a one-line title and a bio; the title goes into the summary unless the bio already says it
+function flatToNested(data) {
+    const { name, title, bio, email, phone, website, linkedin, github, skills, projects, experience, education } = data;
+    const mentionsTitle = title && bio && String(bio).toLowerCase().includes(String(title).toLowerCase());
+    return {
+        personalInfo: { name, email, phone, website, linkedin, github },
+        summary: [mentionsTitle ? null : title, bio].filter(Boolean).join('. ') || null,
+        skills,
+        experience,
+        projects,
+        education
+    };
+}
+
+function normalizeData(data) {
+    return repairPortfolioData(data).data;
+}
+
+// Brings the data and every revision up to the current schema; new sections start out empty
+function normalizeRecord(record) {
+    return {
+        ...record,
+        data: normalizeData(record.data),
+        revisions: Array.isArray(record.revisions)
+            ? record.revisions.map(revision => ({ ...revision, data: normalizeData(revision.data) }))
+            : record.revisions
+    };
+}
+
+// Each step upgrades a record from the version it's keyed by to the next one
+const MIGRATIONS = {
+    1: record => {
+        const { profession, ...data } = isPlainObject(record.data) ? record.data : {};
+        return {
+            ...record,
+            data: flatToNested(data),
+            // The flat shape kept the profession next to the data; it only ever chose the theme
+            theme: record.theme || themeForProfession(profession)
+        };
+    },
+    2: normalizeRecord,
+    3: normalizeRecord,
+    4: normalizeRecord,
+    5: record => ({
+        ...record,
+        theme: migrateTheme(record.theme),
+        revisions: Array.isArray(record.revisions)
+            ? record.revisions.map(revision => ({ ...revision, theme: migrateTheme(revision.theme) }))
+            : record.revisions
+    })
+};
+
+// Returns the record upgraded to CURRENT_SCHEMA_VERSION; records that are already current are returned as they are
+function migrateRecord(record) {
+    let version = detectSchemaVersion(record);
+    if (version > CURRENT_SCHEMA_VERSION) {
+        throw new Error(`Record has schemaVersion ${version}, newer than this code supports (${CURRENT_SCHEMA_VERSION}).`);
+    }
+    let migrated = record;
+    while (version < CURRENT_SCHEMA_VERSION) {
+        migrated = MIGRATIONS[version](migrated);
+        version++;
+    }
+    return migrated === record ? record : { ...migrated, schemaVersion: CURRENT_SCHEMA_VERSION };
+}
+
+// Wraps a store so reads return migrated records and writes stamp the current schemaVersion.
+// Stored records are only rewritten when they're next updated, or by scripts/migrate-store.js.
+function withMigrations(store) {
+    const stamp = record => (record ? { ...record, schemaVersion: CURRENT_SCHEMA_VERSION } : record);
+    return {
+        ...store,
+        async get(id) {
+            const record = await store.get(id);
+            return record ? migrateRecord(record) : null;
+        },
+        async findBySlug(slug) {
+            const found = await store.findBySlug(slug);
+            return found ? { id: found.id, record: migrateRecord(found.record) } : null;
+        },
+        create(id, record) {
+            return store.create(id, stamp(record));
+        },
+        update(id, updater) {
+            return store.update(id, async current => stamp(await updater(migrateRecord(current))));
+        }
+    };
+}
+
+module.exports = { CURRENT_SCHEMA_VERSION, detectSchemaVersion, migrateRecord, withMigrations };
@@ -0,0 +1,72 @@
+// Local OCR for scanned resumes: image uploads, and PDFs whose pages are images with no text layer.
+// Runs entirely on the server with tesseract.js and language data installed from npm, so nothing is downloaded at runtime.
+//
+// Configured by env: OCR_LANG (default "eng"; needs the matching @tesseract.js-data/<lang> package),
+// OCR_MAX_PAGES (how many PDF pages to rasterize, default 5) and OCR_SCALE (render scale for PDF pages, default 2).
+const Tesseract = require('tesseract.js');
+
+const DEFAULT_MAX_PAGES = 5;
+const DEFAULT_SCALE = 2;
+// Words recognised below this confidence are listed so the editor can point users at them
+const LOW_CONFIDENCE = 60;
+const MAX_FLAGGED_WORDS = 20;
+
+function languageData(lang) {
+    try {
+        return require(`@tesseract.js-data/${lang}`);
+    } catch (error) {
+        throw new Error(`OCR language data for "${lang}" is not installed. Run npm install @tesseract.js-data/${lang}.`);
+    }
+}
+
+function createOcrWorker() {
+    const lang = process.env.OCR_LANG || 'eng';
+    const { langPath, gzip } = languageData(lang);
+    // cacheMethod 'none' stops tesseract.js from writing a copy of the traineddata into the working directory
+    return Tesseract.createWorker(lang, Tesseract.OEM.LSTM_ONLY, { langPath, gzip, cacheMethod: 'none' });
+}
+
+// Recognises each image (PNG/JPEG buffers, one per page). Returns
+// { text, confidence, pages: [{ page, confidence, lowConfidenceWords }] } with confidences in percent.
+async function recognizeImages(images) {
+    const worker = await createOcrWorker();
+    try {
+        const pages = [];
+        const texts = [];
+        for (const [index, image] of images.entries()) {
+            const { data } = await worker.recognize(image);
+            texts.push(data.text);
+            pages.push({
+                page: index + 1,
+                confidence: Math.round(data.confidence),
+                lowConfidenceWords: (data.words || [])
+                    .filter(word => word.confidence < LOW_CONFIDENCE && word.text.trim().length > 1)
+                    .slice(0, MAX_FLAGGED_WORDS)
+                    .map(word => word.text)
+            });
+        }
+        const confidence = pages.length > 0
+            ? Math.round(pages.reduce((sum, page) => sum + page.confidence, 0) / pages.length)
+            : 0;
+        return { text: texts.join('\n\n'), confidence, pages };
+    } finally {
+        await worker.terminate();
+    }
+}
+
+// Renders the first OCR_MAX_PAGES pages to PNG and recognises them
+async function recognizePdf(buffer) {
+    // pdf-to-img is published as an ES module only
+    const { pdf } = await import('pdf-to-img');
+    const maxPages = Number(process.env.OCR_MAX_PAGES) || DEFAULT_MAX_PAGES;
+    const document = await pdf(buffer, { scale: Number(process.env.OCR_SCALE) || DEFAULT_SCALE });
+    const images = [];
+    for await (const image of document) {
+        images.push(image);
+        if (images.length >= maxPages) break;
+    }
+    const result = await recognizeImages(images);
+    return { ...result, truncated: document.length > images.length };
+}
+
+module.exports = { recognizeImages, recognizePdf };
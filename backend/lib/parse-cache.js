@@ -0,0 +1,71 @@
+// Two-level cache for AI parse results: a small in-memory map in front of the configured portfolio store,
+// so repeat uploads skip the model even after a restart or on another function instance.
+// Entries are { value, version, expiresAt }; a failing store only costs a cache miss, never the upload.
+const DEFAULT_TTL_MS = 7 * 24 * 60 * 60 * 1000;
+// Values built with a fallback (a model error answered heuristically) are kept briefly, so the model gets retried soon
+const DEFAULT_FALLBACK_TTL_MS = 10 * 60 * 1000;
+const DEFAULT_MAX_MEMORY_ENTRIES = 200;
+
+// Configured by env: PARSE_CACHE_TTL_MS (0 turns the cache off), PARSE_CACHE_FALLBACK_TTL_MS (0 stops caching
+// fallback values) and PARSE_CACHE_MEMORY_ENTRIES
+function createParseCache(store, options = {}) {
+    const ttlValue = options.ttlMs ?? process.env.PARSE_CACHE_TTL_MS;
+    const ttlMs = ttlValue === undefined || ttlValue === '' ? DEFAULT_TTL_MS : Number(ttlValue);
+    const fallbackTtlValue = options.fallbackTtlMs ?? process.env.PARSE_CACHE_FALLBACK_TTL_MS;
+    const fallbackTtlMs = Math.min(ttlMs,
+        fallbackTtlValue === undefined || fallbackTtlValue === '' ? DEFAULT_FALLBACK_TTL_MS : Number(fallbackTtlValue));
+    const maxEntries = Number(options.maxEntries || process.env.PARSE_CACHE_MEMORY_ENTRIES) || DEFAULT_MAX_MEMORY_ENTRIES;
+    const memory = new Map();
+
+    function remember(key, entry) {
+        memory.delete(key);
+        memory.set(key, entry);
+        // Maps iterate in insertion order, so the first key is the least recently used
+        if (memory.size > maxEntries) {
+            memory.delete(memory.keys().next().value);
+        }
+    }
+
+    function isExpired(entry) {
+        return Date.parse(entry.expiresAt) <= Date.now();
+    }
+
+    // Resolves to a copy of the cached value, or null on a miss
+    async function get(key) {
+        if (!(ttlMs > 0)) return null;
+        let entry = memory.get(key);
+        if (!entry) {
+            try {
+                entry = await store.getCached(key);
+            } catch (error) {
+                console.warn(`Parse cache lookup failed: ${error.message}`);
+                return null;
+            }
+        }
+        if (!entry) return null;
+        if (isExpired(entry)) {
+            memory.delete(key);
+            store.deleteCached(key).catch(() => {});
+            return null;
+        }
+        remember(key, entry);
+        return structuredClone(entry.value);
+    }
+
+    // `fallback` marks a value that was partly built without the model; it expires after the fallback TTL
+    async function set(key, value, version, { fallback = false } = {}) {
+        const lifetime = fallback ? fallbackTtlMs : ttlMs;
+        if (!(lifetime > 0)) return;
+        const entry = { value: structuredClone(value), version, expiresAt: new Date(Date.now() + lifetime).toISOString() };
+        remember(key, entry);
+        try {
+            await store.setCached(key, entry);
+        } catch (error) {
+            console.warn(`Parse cache write failed: ${error.message}`);
+        }
+    }
+
+    return { get, set };
+}
+
+module.exports = { createParseCache };
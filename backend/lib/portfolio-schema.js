@@ -0,0 +1,429 @@
+// The portfolio data schema, enforced on every create and update.
+//
+//   personalInfo: { name, email, phone, website, linkedin, github }   strings or null
+//   summary: string | null
+//   skills: [string]   canonical names, see skills.js
+//   skillGroups: [{ category, label, skills: [string] }]   derived from skills on every write; input is ignored
+//   experience: [{ company, role, dates, start, end, current, description: [string] }]
+//   projects: [{ title, description, link }]
+//   education: [{ institution, degree, dates, start, end, current }]
+//   certifications: [{ name, issuer, date, link }]
+//   awards: [{ title, issuer, date, description }]
+//   languages: [{ language, proficiency }]   spoken languages; programming languages are skills
+//   publications: [{ title, publisher, date, link }]
+//   customSections: [{ title, type, hidden, ...content }]   owner-defined, shown in list order unless hidden
+//     type 'text': { body }   'list': { items: [string] }   'cards': { cards: [{ title, subtitle, dates, body, link }] }
+//   yearsOfExperience: number | null   derived from the experience dates on every write
+//
+// `dates` is the display string; `start` and `end` are "YYYY-MM" or null and `current` marks ranges that run to
+// the present (see dates.js). When an entry has no structured dates they're read from the display string.
+// The single `date` of certifications, awards and publications is display text only.
+//
+// Parser output goes through repairPortfolioData, which coerces the usual model mistakes and never fails.
+// Client input goes through validatePortfolioData, which only makes lossless fixes and reports the rest as errors.
+const { normalizeSkillNames, groupSkills } = require('./skills');
+const { parseDateRange, formatDateRange, isMonth, totalYearsOfExperience } = require('./dates');
+
+const PERSONAL_INFO_FIELDS = ['name', 'email', 'phone', 'website', 'linkedin', 'github'];
+
+const SECTIONS = {
+    experience: { fields: ['company', 'role', 'dates'], listFields: ['description'], dated: true },
+    projects: { fields: ['title', 'description', 'link'], listFields: [] },
+    education: { fields: ['institution', 'degree', 'dates'], listFields: [], dated: true },
+    // Most resumes have none of these, so they're never reported as missing
+    certifications: { fields: ['name', 'issuer', 'date', 'link'], listFields: [], optional: true },
+    awards: { fields: ['title', 'issuer', 'date', 'description'], listFields: [], optional: true },
+    languages: { fields: ['language', 'proficiency'], listFields: [], optional: true },
+    publications: { fields: ['title', 'publisher', 'date', 'link'], listFields: [], optional: true }
+};
+
+const CUSTOM_SECTION_TYPES = ['text', 'list', 'cards'];
+const CUSTOM_CARD_FIELDS = { fields: ['title', 'subtitle', 'dates', 'body', 'link'], listFields: [] };
+const MAX_CUSTOM_SECTIONS = 20;
+
+const MAX_TEXT_LENGTH = 5000;
+const MAX_ENTRIES = 100;
+const MAX_SKILLS = 200;
+const EMAIL_PATTERN = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
+
+// Collects repairs (lenient mode) or errors (strict mode) against dotted field paths
+function createReport(strict) {
+    const repairs = [];
+    const errors = [];
+    return {
+        strict,
+        repairs,
+        errors,
+        repaired(field, message) {
+            repairs.push({ field, message });
+        },
+        invalid(field, message) {
+            errors.push({ field, message });
+        }
+    };
+}
+
+function isPlainObject(value) {
+    return value !== null && typeof value === 'object' && !Array.isArray(value);
+}
+
+function normalizeText(value, field, report) {
+    if (value === undefined || value === null) return null;
+    if (typeof value === 'number' || typeof value === 'boolean') {
+        return String(value);
+    }
+    if (Array.isArray(value) && !report.strict) {
+        report.repaired(field, 'Joined a list into text.');
+        return normalizeText(value.filter(item => typeof item === 'string').join(', '), field, report);
+    }
+    if (typeof value !== 'string') {
+        if (report.strict) {
+            report.invalid(field, 'Must be text.');
+        } else {
+            report.repaired(field, 'Dropped a value that was not text.');
+        }
+        return null;
+    }
+    const text = value.trim();
+    if (text.length > MAX_TEXT_LENGTH) {
+        if (report.strict) {
+            report.invalid(field, `Must be at most ${MAX_TEXT_LENGTH} characters.`);
+        } else {
+            report.repaired(field, `Truncated to ${MAX_TEXT_LENGTH} characters.`);
+        }
+        return text.slice(0, MAX_TEXT_LENGTH);
+    }
+    return text || null;
+}
+
+// Lists of short strings. Models often return them as one newline- or comma-separated string.
+function normalizeTextList(value, field, report, separator) {
+    if (value === undefined || value === null) return [];
+    let items = value;
+    if (typeof value === 'string') {
+        items = value.split(separator);
+        if (!report.strict) {
+            report.repaired(field, 'Split text into a list.');
+        }
+    } else if (!Array.isArray(value)) {
+        if (report.strict) {
+            report.invalid(field, 'Must be a list.');
+        } else {
+            report.repaired(field, 'Dropped a value that was not a list.');
+        }
+        return [];
+    }
+    return items
+        .map((item, index) => {
+            // { name: 'React' } style skill objects
+            if (isPlainObject(item) && typeof item.name === 'string' && !report.strict) {
+                report.repaired(`${field}.${index}`, 'Used the name of an object entry.');
+                return item.name;
+            }
+            return normalizeText(item, `${field}.${index}`, report);
+        })
+        .map(item => (item || '').replace(/^[•●▪·*-]\s*/, '').trim())
+        .filter(Boolean);
+}
+
+function normalizeSkills(value, report) {
+    // Aliases ("JS", "Javascript") become one canonical name, so they de-duplicate too
+    const unique = normalizeSkillNames(normalizeTextList(value, 'skills', report, /[,\n]/));
+    if (unique.length > MAX_SKILLS) {
+        if (report.strict) {
+            report.invalid('skills', `At most ${MAX_SKILLS} skills are allowed.`);
+        } else {
+            report.repaired('skills', `Kept the first ${MAX_SKILLS} skills.`);
+        }
+        return unique.slice(0, MAX_SKILLS);
+    }
+    return unique;
+}
+
+function normalizePersonalInfo(value, report) {
+    let info = value;
+    if (info === undefined || info === null) {
+        info = {};
+    } else if (typeof info === 'string' && !report.strict) {
+        report.repaired('personalInfo', 'Used the text as the name.');
+        info = { name: info };
+    } else if (!isPlainObject(info)) {
+        if (report.strict) {
+            report.invalid('personalInfo', 'Must be an object.');
+        } else {
+            report.repaired('personalInfo', 'Replaced a value that was not an object.');
+        }
+        info = {};
+    }
+
+    const personalInfo = {};
+    for (const field of PERSONAL_INFO_FIELDS) {
+        personalInfo[field] = normalizeText(info[field], `personalInfo.${field}`, report);
+    }
+    if (personalInfo.email && !EMAIL_PATTERN.test(personalInfo.email)) {
+        if (report.strict) {
+            report.invalid('personalInfo.email', 'Must be a valid email address.');
+        } else {
+            report.repaired('personalInfo.email', 'Dropped an invalid email address.');
+            personalInfo.email = null;
+        }
+    }
+    return personalInfo;
+}
+
+function normalizeMonth(value, field, report) {
+    if (value === undefined || value === null || value === '') return null;
+    if (isMonth(value)) return value;
+    // Models sometimes answer "March 2019" or "2019-03-01"
+    const parsed = !report.strict && typeof value === 'string' ? parseDateRange(value) : null;
+    if (parsed) {
+        report.repaired(field, 'Converted a date to a month.');
+        return parsed.start;
+    }
+    if (report.strict) {
+        report.invalid(field, 'Must be a month in the form YYYY-MM.');
+    } else {
+        report.repaired(field, 'Dropped a value that was not a month.');
+    }
+    return null;
+}
+
+// Structured dates win when given and the display string is rebuilt to match; otherwise they're read from it
+function normalizeEntryDates(entry, result, path, report) {
+    if (!entry.start && !entry.end && !entry.current) {
+        Object.assign(result, parseDateRange(result.dates) || { start: null, end: null, current: false });
+        return;
+    }
+    if (typeof entry.current !== 'boolean' && entry.current !== undefined && entry.current !== null) {
+        if (report.strict) {
+            report.invalid(`${path}.current`, 'Must be true or false.');
+        } else {
+            report.repaired(`${path}.current`, 'Dropped a value that was not true or false.');
+        }
+    }
+    const current = entry.current === true;
+    const start = normalizeMonth(entry.start, `${path}.start`, report);
+    let end = current ? null : normalizeMonth(entry.end, `${path}.end`, report);
+    if (start && end && start > end) {
+        if (report.strict) {
+            report.invalid(`${path}.end`, 'Must not be before the start.');
+        } else {
+            report.repaired(`${path}.end`, 'Dropped an end before the start.');
+            end = null;
+        }
+    }
+    Object.assign(result, { start, end, current });
+
+    // Keep the display string when it already says the same thing ("2018 – 2020")
+    const written = parseDateRange(result.dates);
+    if (!written || written.start !== start || written.end !== end || written.current !== current) {
+        result.dates = formatDateRange(result);
+    }
+}
+
+// `section` is the dotted path reported for problems; custom cards pass their own field definition
+function normalizeEntries(section, value, report, definition = SECTIONS[section]) {
+    const { fields, listFields, dated } = definition;
+    let entries = value;
+    if (entries === undefined || entries === null) return [];
+    if (isPlainObject(entries) && !report.strict) {
+        report.repaired(section, 'Wrapped a single entry in a list.');
+        entries = [entries];
+    }
+    if (!Array.isArray(entries)) {
+        if (report.strict) {
+            report.invalid(section, 'Must be a list.');
+        } else {
+            report.repaired(section, 'Dropped a value that was not a list.');
+        }
+        return [];
+    }
+    if (entries.length > MAX_ENTRIES) {
+        if (report.strict) {
+            report.invalid(section, `At most ${MAX_ENTRIES} entries are allowed.`);
+        } else {
+            report.repaired(section, `Kept the first ${MAX_ENTRIES} entries.`);
+        }
+        entries = entries.slice(0, MAX_ENTRIES);
+    }
+
+    const normalized = [];
+    entries.forEach((value, index) => {
+        const path = `${section}.${index}`;
+        let entry = value;
+        // Models list certifications and languages as plain strings ("AWS Solutions Architect", "Spanish")
+        if (typeof entry === 'string' && !report.strict) {
+            report.repaired(path, `Used the text as the ${fields[0]}.`);
+            entry = { [fields[0]]: entry };
+        }
+        if (!isPlainObject(entry)) {
+            if (report.strict) {
+                report.invalid(path, 'Must be an object.');
+            } else {
+                report.repaired(path, 'Dropped an entry that was not an object.');
+            }
+            return;
+        }
+        const result = {};
+        for (const field of fields) {
+            // Project descriptions are a single paragraph; models sometimes return bullet lists
+            if (Array.isArray(entry[field]) && !report.strict) {
+                report.repaired(`${path}.${field}`, 'Joined a list into text.');
+                result[field] = normalizeText(entry[field].filter(item => typeof item === 'string').join(' '), `${path}.${field}`, report);
+                continue;
+            }
+            result[field] = normalizeText(entry[field], `${path}.${field}`, report);
+        }
+        for (const field of listFields) {
+            result[field] = normalizeTextList(entry[field], `${path}.${field}`, report, /\n+/);
+        }
+        if (dated) {
+            normalizeEntryDates(entry, result, path, report);
+        }
+        const isEmpty = fields.every(field => !result[field]) && listFields.every(field => result[field].length === 0);
+        if (isEmpty) {
+            if (!report.strict) {
+                report.repaired(path, 'Dropped an empty entry.');
+            }
+            return;
+        }
+        normalized.push(result);
+    });
+    return normalized;
+}
+
+function normalizeCustomSection(section, path, report) {
+    const title = normalizeText(section.title, `${path}.title`, report);
+    if (!title) {
+        if (report.strict) {
+            report.invalid(`${path}.title`, 'Must have a title.');
+        } else {
+            report.repaired(path, 'Dropped a section without a title.');
+        }
+        return null;
+    }
+    let type = section.type;
+    if (!CUSTOM_SECTION_TYPES.includes(type)) {
+        if (report.strict) {
+            report.invalid(`${path}.type`, `Must be one of: ${CUSTOM_SECTION_TYPES.join(', ')}.`);
+        } else {
+            report.repaired(`${path}.type`, 'Treated the section as text.');
+        }
+        type = 'text';
+    }
+    if (section.hidden !== undefined && section.hidden !== null && typeof section.hidden !== 'boolean') {
+        if (report.strict) {
+            report.invalid(`${path}.hidden`, 'Must be true or false.');
+        } else {
+            report.repaired(`${path}.hidden`, 'Dropped a value that was not true or false.');
+        }
+    }
+    const result = { title, type, hidden: section.hidden === true };
+    // Only the content of the section's type is kept
+    if (type === 'text') {
+        result.body = normalizeText(section.body, `${path}.body`, report);
+    } else if (type === 'list') {
+        result.items = normalizeTextList(section.items, `${path}.items`, report, /\n+/);
+    } else {
+        result.cards = normalizeEntries(`${path}.cards`, section.cards, report, CUSTOM_CARD_FIELDS);
+    }
+    return result;
+}
+
+function normalizeCustomSections(value, report) {
+    if (value === undefined || value === null) return [];
+    if (!Array.isArray(value)) {
+        if (report.strict) {
+            report.invalid('customSections', 'Must be a list.');
+        } else {
+            report.repaired('customSections', 'Dropped a value that was not a list.');
+        }
+        return [];
+    }
+    if (value.length > MAX_CUSTOM_SECTIONS) {
+        if (report.strict) {
+            report.invalid('customSections', `At most ${MAX_CUSTOM_SECTIONS} sections are allowed.`);
+        } else {
+            report.repaired('customSections', `Kept the first ${MAX_CUSTOM_SECTIONS} sections.`);
+        }
+    }
+    const sections = [];
+    value.slice(0, MAX_CUSTOM_SECTIONS).forEach((section, index) => {
+        const path = `customSections.${index}`;
+        if (!isPlainObject(section)) {
+            if (report.strict) {
+                report.invalid(path, 'Must be an object.');
+            } else {
+                report.repaired(path, 'Dropped a section that was not an object.');
+            }
+            return;
+        }
+        const normalized = normalizeCustomSection(section, path, report);
+        if (normalized) sections.push(normalized);
+    });
+    return sections;
+}
+
+function normalizePortfolioData(input, report) {
+    let raw = input;
+    if (!isPlainObject(raw)) {
+        if (report.strict) {
+            report.invalid('portfolioData', 'Must be an object.');
+        } else {
+            report.repaired('portfolioData', 'Replaced a value that was not an object.');
+        }
+        raw = {};
+    }
+    const skills = normalizeSkills(raw.skills, report);
+    const experience = normalizeEntries('experience', raw.experience, report);
+    return {
+        personalInfo: normalizePersonalInfo(raw.personalInfo, report),
+        summary: normalizeText(raw.summary, 'summary', report),
+        skills,
+        skillGroups: groupSkills(skills),
+        experience,
+        projects: normalizeEntries('projects', raw.projects, report),
+        education: normalizeEntries('education', raw.education, report),
+        certifications: normalizeEntries('certifications', raw.certifications, report),
+        awards: normalizeEntries('awards', raw.awards, report),
+        languages: normalizeEntries('languages', raw.languages, report),
+        publications: normalizeEntries('publications', raw.publications, report),
+        customSections: normalizeCustomSections(raw.customSections, report),
+        yearsOfExperience: totalYearsOfExperience(experience)
+    };
+}
+
+// Fields the parser could not fill, so the UI can point the user at them
+function findMissingFields(data) {
+    const missing = PERSONAL_INFO_FIELDS
+        .filter(field => !data.personalInfo[field])
+        .map(field => `personalInfo.${field}`);
+    if (!data.summary) missing.push('summary');
+    if (data.skills.length === 0) missing.push('skills');
+    for (const [section, { optional }] of Object.entries(SECTIONS)) {
+        if (!optional && data[section].length === 0) missing.push(section);
+    }
+    return missing;
+}
+
+// The custom sections a public page shows: not hidden and with something in them
+function visibleCustomSections(data) {
+    return data.customSections.filter(section => !section.hidden
+        && (section.type === 'text' ? Boolean(section.body) : (section.items || section.cards).length > 0));
+}
+
+// For model/parser output: always returns usable data. { data, repairs, missingFields }
+function repairPortfolioData(input) {
+    const report = createReport(false);
+    const data = normalizePortfolioData(input, report);
+    return { data, repairs: report.repairs, missingFields: findMissingFields(data) };
+}
+
+// For client input: { data, errors }; data is only meaningful when errors is empty
+function validatePortfolioData(input) {
+    const report = createReport(true);
+    const data = normalizePortfolioData(input, report);
+    return { data, errors: report.errors };
+}
+
+module.exports = { repairPortfolioData, validatePortfolioData, findMissingFields, visibleCustomSections };
@@ -0,0 +1,125 @@
+// The profession catalogue used to classify resumes and pick their theme.
+// Adding a profession is one entry here: the AI prompt, the keyword fallback and the editor suggestions all read from it.
+// `theme` is a key in themes.js; several professions may share one.
+const { themes } = require('./themes');
+
+const PROFESSIONS = [
+    {
+        name: 'Software Developer',
+        theme: 'Software Developer',
+        keywords: ['javascript', 'typescript', 'java', 'python', 'node', 'react', 'angular', 'vue', 'c#', 'c++', 'golang', 'rust', 'php', 'ruby', 'sql', 'docker', 'kubernetes', 'aws', 'git', 'api', 'developer', 'software engineer', 'software', 'backend', 'frontend', 'full-stack', 'full stack', 'devops', 'microservices']
+    },
+    {
+        name: 'Graphic Designer',
+        theme: 'Graphic Designer',
+        keywords: ['photoshop', 'illustrator', 'indesign', 'figma', 'sketch', 'adobe', 'branding', 'typography', 'graphic design', 'designer', 'ui design', 'ux', 'layout', 'illustration', 'logo', 'visual design', 'motion graphics']
+    },
+    {
+        name: 'Data Scientist',
+        theme: 'Data Scientist',
+        keywords: ['machine learning', 'deep learning', 'data science', 'data analysis', 'statistics', 'pandas', 'numpy', 'tensorflow', 'pytorch', 'scikit-learn', 'tableau', 'power bi', 'analytics', 'nlp', 'modeling', 'data scientist', 'data analyst', 'regression']
+    },
+    {
+        name: 'Product Manager',
+        theme: 'Product Manager',
+        keywords: ['product manager', 'product management', 'product owner', 'roadmap', 'stakeholder', 'user stories', 'scrum', 'agile', 'okr', 'go-to-market', 'backlog', 'prd', 'jira', 'product strategy', 'a/b testing']
+    },
+    {
+        name: 'Marketing Specialist',
+        theme: 'Marketing Specialist',
+        keywords: ['marketing', 'seo', 'sem', 'content strategy', 'social media', 'campaign', 'brand', 'google analytics', 'hubspot', 'copywriting', 'email marketing', 'growth', 'ppc', 'digital marketing']
+    },
+    {
+        name: 'Sales Professional',
+        theme: 'Marketing Specialist',
+        keywords: ['sales', 'account executive', 'business development', 'crm', 'salesforce', 'quota', 'lead generation', 'negotiation', 'pipeline', 'b2b', 'account management', 'cold calling']
+    },
+    {
+        name: 'Mechanical Engineer',
+        theme: 'Mechanical Engineer',
+        keywords: ['mechanical', 'solidworks', 'autocad', 'cad', 'catia', 'ansys', 'fea', 'cfd', 'thermodynamics', 'manufacturing', 'hvac', 'gd&t', 'prototyping', 'matlab', 'mechanical engineer']
+    },
+    {
+        name: 'Healthcare Professional',
+        theme: 'Healthcare Professional',
+        keywords: ['nurse', 'nursing', 'patient', 'patients', 'clinical', 'rn', 'bls', 'acls', 'hospital', 'medical', 'healthcare', 'icu', 'emr', 'care plans', 'physician', 'pharmacy']
+    },
+    {
+        name: 'Educator',
+        theme: 'Educator',
+        keywords: ['teacher', 'teaching', 'curriculum', 'lesson planning', 'lesson plans', 'classroom', 'students', 'education', 'tutoring', 'pedagogy', 'instruction']
+    },
+    {
+        name: 'Finance Professional',
+        theme: 'Finance Professional',
+        keywords: ['finance', 'financial', 'accounting', 'accountant', 'audit', 'cpa', 'budgeting', 'forecasting', 'gaap', 'tax', 'investment', 'fp&a', 'bookkeeping', 'financial analysis']
+    }
+];
+
+const DEFAULT_PROFESSION = 'Default';
+const MAX_CANDIDATES = 3;
+
+function findProfession(name) {
+    const wanted = String(name || '').trim().toLowerCase();
+    return PROFESSIONS.find(profession => profession.name.toLowerCase() === wanted) || null;
+}
+
+function themeKeyForProfession(name) {
+    const profession = findProfession(name);
+    return profession && themes[profession.theme] ? profession.theme : 'Default';
+}
+
+function themeForProfession(name) {
+    return themes[themeKeyForProfession(name)];
+}
+
+function escapeRegExp(text) {
+    return text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+}
+
+// Keyword fallback when no model is available: confidence is each profession's share of the keyword hits,
+// damped so a handful of hits doesn't read as certainty
+function scoreProfessions(parsedData) {
+    const haystack = [
+        ...(parsedData.skills || []),
+        parsedData.summary || '',
+        ...(parsedData.experience || []).map(job => job.role || '')
+    ].join(' ').toLowerCase();
+
+    const scores = PROFESSIONS.map(profession => ({
+        profession: profession.name,
+        score: profession.keywords.filter(keyword =>
+            new RegExp(`(^|[^a-z0-9])${escapeRegExp(keyword)}([^a-z0-9]|$)`).test(haystack)
+        ).length
+    })).filter(entry => entry.score > 0);
+
+    const total = scores.reduce((sum, entry) => sum + entry.score, 0);
+    return scores
+        .map(entry => ({ profession: entry.profession, confidence: Math.round((entry.score / (total + 2)) * 100) / 100 }))
+        .sort((a, b) => b.confidence - a.confidence);
+}
+
+// { profession, confidence, candidates: [{ profession, confidence, theme }] } from scored candidates, best first
+function buildClassification(scored) {
+    const candidates = scored.slice(0, MAX_CANDIDATES).map(candidate => ({
+        ...candidate,
+        theme: themeKeyForProfession(candidate.profession)
+    }));
+    const [best] = candidates;
+    return {
+        profession: best ? best.profession : DEFAULT_PROFESSION,
+        confidence: best ? best.confidence : 0,
+        candidates
+    };
+}
+
+module.exports = {
+    PROFESSIONS,
+    DEFAULT_PROFESSION,
+    MAX_CANDIDATES,
+    findProfession,
+    themeKeyForProfession,
+    themeForProfession,
+    scoreProfessions,
+    buildClassification
+};
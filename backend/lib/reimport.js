@@ -0,0 +1,165 @@
+// Re-importing an updated resume into an existing portfolio as a three-way merge: `base` is the resume the
+// portfolio was last imported from, `current` is the portfolio with the user's edits and `incoming` is the new resume.
+// Only what changed between base and incoming is proposed, so manual edits aren't undone and jobs, bullets or skills
+// the user deleted don't come back.
+const { repairPortfolioData } = require('./portfolio-schema');
+
+// Share of words two bullets need in common to count as one bullet reworded
+const MIN_SIMILARITY = 0.5;
+
+function normalize(text) {
+    return String(text || '').toLowerCase().replace(/[^a-z0-9+#]+/g, ' ').trim();
+}
+
+function includesText(list, text) {
+    return list.some(item => normalize(item) === normalize(text));
+}
+
+function similarity(a, b) {
+    const wordsA = new Set(normalize(a).split(' ').filter(Boolean));
+    const wordsB = new Set(normalize(b).split(' ').filter(Boolean));
+    if (wordsA.size === 0 || wordsB.size === 0) return 0;
+    const shared = [...wordsA].filter(word => wordsB.has(word)).length;
+    return shared / (wordsA.size + wordsB.size - shared);
+}
+
+// Index of the most similar text in `list`, or -1 when none is similar enough
+function closestText(list, text) {
+    let best = -1;
+    let bestScore = MIN_SIMILARITY;
+    list.forEach((item, index) => {
+        const score = similarity(item, text);
+        if (score >= bestScore) {
+            best = index;
+            bestScore = score;
+        }
+    });
+    return best;
+}
+
+function isSameJob(a, b) {
+    return normalize(a.company) === normalize(b.company) && normalize(a.role) === normalize(b.role);
+}
+
+// The entry in `entries` for the same job: same company and role, or failing that the only entry at the
+// same company when the new resume also lists just one job there (the role was renamed on one side)
+function findJob(entries, job, incomingJobs) {
+    const exact = entries.find(entry => isSameJob(entry, job));
+    if (exact) return exact;
+    const company = normalize(job.company);
+    if (!company || incomingJobs.filter(entry => normalize(entry.company) === company).length > 1) return null;
+    const sameCompany = entries.filter(entry => normalize(entry.company) === company);
+    return sameCompany.length === 1 ? sameCompany[0] : null;
+}
+
+// The resume data the portfolio was last imported from: the previous re-import, else the original parse (revision 1)
+function importBase(record) {
+    if (record.lastImport && record.lastImport.data) return record.lastImport.data;
+    const original = (record.revisions || []).find(revision => revision.number === 1);
+    return original ? original.data : record.data;
+}
+
+// A job that ended or was re-dated since the last import; flagged as a conflict when the user changed the dates too
+function dateChanges(baseJob, currentJob, incomingJob) {
+    if (!baseJob || !incomingJob.dates || normalize(baseJob.dates) === normalize(incomingJob.dates)) return [];
+    if (normalize(currentJob.dates) === normalize(incomingJob.dates)) return [];
+    const { dates, start, end, current } = incomingJob;
+    return [{
+        type: 'change-dates',
+        experience: { company: currentJob.company, role: currentJob.role },
+        from: currentJob.dates,
+        to: { dates, start, end, current },
+        ...(normalize(currentJob.dates) === normalize(baseJob.dates) ? {} : { conflict: true })
+    }];
+}
+
+function bulletChanges(baseJob, currentJob, incomingJob) {
+    const job = { company: currentJob.company, role: currentJob.role };
+    const baseBullets = baseJob ? baseJob.description : [];
+    const added = incomingJob.description.filter(bullet => !includesText(baseBullets, bullet) && !includesText(currentJob.description, bullet));
+    const removed = baseBullets.filter(bullet => !includesText(incomingJob.description, bullet));
+    const changes = [];
+
+    for (const bullet of added) {
+        // A removed and an added bullet with most words in common are the same bullet reworded
+        const index = closestText(removed, bullet);
+        if (index === -1) {
+            changes.push({ type: 'add-bullet', experience: job, bullet });
+            continue;
+        }
+        const [before] = removed.splice(index, 1);
+        if (includesText(currentJob.description, before)) {
+            changes.push({ type: 'change-bullet', experience: job, from: before, to: bullet });
+            continue;
+        }
+        // The user reworded this bullet too: offer the resume's version in place of theirs
+        const edited = closestText(currentJob.description, before);
+        changes.push(edited === -1
+            ? { type: 'add-bullet', experience: job, bullet }
+            : { type: 'change-bullet', experience: job, from: currentJob.description[edited], to: bullet, conflict: true });
+    }
+    // Bullets the user already removed or reworded are left alone
+    removed
+        .filter(bullet => includesText(currentJob.description, bullet))
+        .forEach(bullet => changes.push({ type: 'remove-bullet', experience: job, bullet }));
+    return changes;
+}
+
+// Returns the proposed changes, each { id, type, ... }:
+//   add-experience { entry }, change-dates { experience, from, to: { dates, start, end, current }, conflict? },
+//   add-bullet { experience, bullet }, change-bullet { experience, from, to, conflict? },
+//   remove-bullet { experience, bullet }, add-skill { skill }
+// where `experience` is the { company, role } of the portfolio entry the change applies to.
+function buildReimportChanges(base, current, incoming) {
+    const changes = [];
+    for (const job of incoming.experience) {
+        const baseJob = findJob(base.experience || [], job, incoming.experience);
+        const currentJob = findJob(current.experience, job, incoming.experience);
+        if (currentJob) {
+            changes.push(...dateChanges(baseJob, currentJob, job), ...bulletChanges(baseJob, currentJob, job));
+        } else if (!baseJob) {
+            changes.push({ type: 'add-experience', entry: job });
+        }
+    }
+    const baseSkills = base.skills || [];
+    incoming.skills
+        .filter(skill => !includesText(baseSkills, skill) && !includesText(current.skills, skill))
+        .forEach(skill => changes.push({ type: 'add-skill', skill }));
+    return changes.map((change, index) => ({ id: `c${index + 1}`, ...change }));
+}
+
+// Applies the accepted changes to the portfolio data. Changes are matched by content rather than position,
+// so edits saved since the changes were proposed are kept; a change whose job no longer exists is skipped.
+function applyReimportChanges(data, changes) {
+    const next = structuredClone(data);
+    for (const change of changes) {
+        if (change.type === 'add-experience') {
+            if (!next.experience.some(entry => isSameJob(entry, change.entry))) next.experience.push(change.entry);
+            continue;
+        }
+        if (change.type === 'add-skill') {
+            if (!includesText(next.skills, change.skill)) next.skills.push(change.skill);
+            continue;
+        }
+        const job = next.experience.find(entry => isSameJob(entry, change.experience));
+        if (!job) continue;
+        if (change.type === 'change-dates') {
+            // The structured months go along, otherwise they'd win over the new display string
+            Object.assign(job, change.to);
+            continue;
+        }
+        const index = job.description.findIndex(bullet => normalize(bullet) === normalize(change.from || change.bullet));
+        if (change.type === 'add-bullet' && !includesText(job.description, change.bullet)) {
+            job.description.push(change.bullet);
+        } else if (change.type === 'remove-bullet' && index !== -1) {
+            job.description.splice(index, 1);
+        } else if (change.type === 'change-bullet') {
+            if (index !== -1) job.description[index] = change.to;
+            else if (!includesText(job.description, change.to)) job.description.push(change.to);
+        }
+    }
+    // Recomputes the derived fields (skill groups, structured dates, years of experience)
+    return repairPortfolioData(next).data;
+}
+
+module.exports = { importBase, buildReimportChanges, applyReimportChanges };
@@ -0,0 +1,170 @@
+// Resume parsing and profession classification, shared by the Express server and the Netlify functions
+const crypto = require('crypto');
+const { PROFESSIONS, MAX_CANDIDATES, findProfession, themeForProfession, scoreProfessions, buildClassification } = require('./professions');
+const { parseResumeHeuristically } = require('./heuristic-parser');
+const { repairPortfolioData } = require('./portfolio-schema');
+
+// 'ai' sends the resume text to the configured model; 'heuristic' keeps it on the server
+const PARSERS = ['ai', 'heuristic'];
+
+const PARSE_RESUME_PROMPT = `
+        You are an expert resume parser. Analyze the following resume text and extract the information into a structured JSON object.
+        The JSON object should have the following keys:
+        - "personalInfo": An object with "name", "email", "phone", "website", "linkedin", and "github".
+          For "linkedin" and "github", extract ONLY the username (without the full URL). 
+          For example, if the resume has "https://linkedin.com/in/johndoe", extract "johndoe".
+          If the resume only has the username (e.g., "johndoe"), use that as is.
+        - "summary": A string containing the professional summary or objective.
+        - "skills": An array of strings listing all technical and soft skills.
+        - "experience": An array of objects, where each object has "company", "role", "dates", and "description" (as an array of strings).
+        - "projects": An array of objects, where each object has "title", "description", and "link".
+        - "education": An array of objects, where each object has "institution", "degree", and "dates".
+        - "certifications": An array of objects, where each object has "name", "issuer", "date", and "link".
+        - "awards": An array of objects, where each object has "title", "issuer", "date", and "description".
+        - "languages": An array of objects for spoken languages (not programming languages), where each object has "language" and "proficiency".
+        - "publications": An array of objects, where each object has "title", "publisher", "date", and "link".
+        
+        Important: For LinkedIn and GitHub, extract only the username, not the full URL.
+        If a piece of information is not found, return null for its value.
+        Ensure the output is ONLY the raw JSON object, without any markdown formatting like \`\`\`json.
+    `;
+
+const CLASSIFY_PROFESSION_PROMPT = `
+        Based on the following professional summary, skills and job titles, classify the profession into these categories:
+${PROFESSIONS.map(profession => `        - ${profession.name}`).join('\n')}
+        Respond with ONLY a JSON object of the form {"candidates": [{"profession": "<category>", "confidence": <number from 0 to 1>}]}
+        listing up to ${MAX_CANDIDATES} of the categories above, most likely first. Return an empty list if none of them fit.
+    `;
+
+// Cached parses are only reused while both prompts are unchanged
+const PARSE_CACHE_VERSION = crypto.createHash('sha256')
+    .update(PARSE_RESUME_PROMPT)
+    .update(CLASSIFY_PROFESSION_PROMPT)
+    .digest('hex')
+    .slice(0, 12);
+
+// The same resume text sent to the same model with the same prompts gets the same key
+function parseCacheKey(llm, resumeText) {
+    return crypto.createHash('sha256')
+        .update(`${PARSE_CACHE_VERSION}\n${llm.provider}\n${llm.model}\n`)
+        .update(resumeText)
+        .digest('hex');
+}
+
+// Models sometimes wrap the JSON in markdown fences or add commentary around it
+function extractJson(text) {
+    let jsonText = text.replace(/```json/g, '').replace(/```/g, '').trim();
+    if (!jsonText.startsWith('{')) {
+        const jsonMatch = jsonText.match(/\{[\s\S]*\}/);
+        if (jsonMatch) {
+            jsonText = jsonMatch[0];
+        }
+    }
+    return jsonText;
+}
+
+async function parseResumeWithAI(llm, resumeText) {
+    const text = await llm.complete(PARSE_RESUME_PROMPT + "\n\n--- RESUME TEXT ---\n\n" + resumeText, { task: 'parse-resume', json: true });
+    try {
+        return JSON.parse(extractJson(text));
+    } catch (e) {
+        console.error("Failed to parse JSON from AI response:", e);
+        console.log("AI Response:", text);
+        throw new Error("AI model returned an invalid JSON format.");
+    }
+}
+
+// Keeps only catalogue professions with a usable confidence, best first
+function readCandidates(response) {
+    const candidates = Array.isArray(response && response.candidates) ? response.candidates : [];
+    return candidates
+        .map(candidate => ({
+            profession: (findProfession(candidate && candidate.profession) || {}).name,
+            confidence: Math.min(1, Math.max(0, Number(candidate && candidate.confidence) || 0))
+        }))
+        .filter(candidate => candidate.profession)
+        .filter((candidate, index, list) => list.findIndex(other => other.profession === candidate.profession) === index)
+        .sort((a, b) => b.confidence - a.confidence);
+}
+
+// Returns { theme, classification, fallback } where classification is { profession, confidence, candidates }.
+// Falls back to keyword scoring, with `fallback` set, when the model errors or answers with something unusable.
+async function classifyProfessionAndSelectTheme(llm, parsedData) {
+    const skillsArray = Array.isArray(parsedData.skills) ? parsedData.skills : [];
+    const roles = (parsedData.experience || []).map(job => job.role).filter(Boolean);
+    const professionalSummary = `Summary: ${parsedData.summary || ''}. Skills: ${skillsArray.join(', ')}. Job titles: ${roles.join(', ')}.`;
+    let scored;
+    try {
+        const text = await llm.complete(CLASSIFY_PROFESSION_PROMPT + "\n\n" + professionalSummary, { task: 'classify-profession', json: true });
+        scored = readCandidates(JSON.parse(extractJson(text)));
+    } catch (error) {
+        console.error("Error classifying profession:", error);
+        scored = [];
+    }
+    const fallback = scored.length === 0;
+    if (fallback) {
+        scored = scoreProfessions(parsedData);
+    }
+    const classification = buildClassification(scored);
+    console.log(`Classified profession as: ${classification.profession} (${Math.round(classification.confidence * 100)}%)`);
+    return { theme: themeForProfession(classification.profession), classification, fallback };
+}
+
+// Parses the resume and picks a theme. With the 'ai' parser, any AI failure (error, timeout, non-JSON output)
+// falls back to the rule-based parser so the user still gets a portfolio they can edit.
+// Either way the data is repaired to the portfolio schema.
+// `onProgress(stage, data)` is called once the resume is 'parsed' and once it is 'classified'.
+// With `fallback: false` an AI failure is thrown instead, marked `retryable`, so a job queue can try the model again first.
+// With a `cache` (see parse-cache.js) the model's answers for the same text are reused unless `force` is set;
+// the raw answers are cached and repaired again on every hit, so schema fixes apply to cached parses too.
+// Parses whose classification fell back to keyword scoring are only cached briefly.
+// Returns { parsedData, theme, classification, parser, fallback, missingFields, cached } where `parser` is the one that produced the data.
+async function parseResume(llm, resumeText, { parser = 'ai', onProgress = () => {}, fallback = true, cache = null, force = false } = {}) {
+    let parsed = null;
+    let cached = null;
+    let aiResponse = null;
+    const cacheKey = cache && parser === 'ai' ? parseCacheKey(llm, resumeText) : null;
+    if (parser === 'ai') {
+        cached = cache && !force ? await cache.get(cacheKey) : null;
+        try {
+            aiResponse = cached ? cached.response : await parseResumeWithAI(llm, resumeText);
+            const { data: parsedData, repairs, missingFields } = repairPortfolioData(aiResponse);
+            if (repairs.length > 0 && !cached) {
+                console.log(`Repaired ${repairs.length} field(s) in the AI response:`, repairs.map(repair => repair.field).join(', '));
+            }
+            parsed = { parsedData, parser: 'ai', fallback: false, missingFields, cached: Boolean(cached) };
+        } catch (error) {
+            if (!fallback) {
+                error.retryable = true;
+                throw error;
+            }
+            console.error("AI resume parsing failed, falling back to the heuristic parser:", error.message);
+        }
+    }
+    if (!parsed) {
+        const { data: parsedData, missingFields } = repairPortfolioData(parseResumeHeuristically(resumeText));
+        parsed = { parsedData, parser: 'heuristic', fallback: parser === 'ai', missingFields, cached: false };
+    }
+    onProgress('parsed', parsed);
+
+    // Resumes parsed without the AI are classified without it too
+    let theme;
+    let classification;
+    if (cached) {
+        classification = cached.classification;
+        theme = themeForProfession(classification.profession);
+    } else if (parsed.parser === 'ai') {
+        let classificationFallback;
+        ({ theme, classification, fallback: classificationFallback } = await classifyProfessionAndSelectTheme(llm, parsed.parsedData));
+        if (cache) {
+            await cache.set(cacheKey, { response: aiResponse, classification }, PARSE_CACHE_VERSION, { fallback: classificationFallback });
+        }
+    } else {
+        classification = buildClassification(scoreProfessions(parsed.parsedData));
+        theme = themeForProfession(classification.profession);
+    }
+    onProgress('classified', { theme, classification });
+    return { ...parsed, theme, classification };
+}
+
+module.exports = { PARSERS, extractJson, parseResumeWithAI, classifyProfessionAndSelectTheme, parseResume };
@@ -0,0 +1,183 @@
+// Resume text extraction. The format is detected from the file's magic bytes rather than its name or MIME type,
+// which browsers and mail clients get wrong often enough; the name is only used to tell Markdown from plain text.
+// Scanned resumes (PNG/JPEG photos, PDFs without a text layer) go through local OCR.
+const pdfParse = require('pdf-parse');
+const mammoth = require('mammoth');
+const { recognizeImages, recognizePdf } = require('./ocr');
+
+const SUPPORTED_FORMATS_MESSAGE = 'Please upload a PDF, Word (.docx), plain text, Markdown, RTF or PNG/JPEG image resume.';
+
+// RTF destinations whose content is metadata rather than document text
+const RTF_SKIPPED_DESTINATIONS = new Set([
+    'fonttbl', 'colortbl', 'stylesheet', 'info', 'pict', 'header', 'footer', 'headerl', 'headerr', 'footerl', 'footerr',
+    'listtable', 'listoverridetable', 'rsidtbl', 'generator', 'xmlnstbl', 'themedata', 'colorschememapping', 'latentstyles', 'datastore'
+]);
+
+function unsupportedFormat(message) {
+    const error = new Error(`${message} ${SUPPORTED_FORMATS_MESSAGE}`);
+    error.code = 'UNSUPPORTED_RESUME_FORMAT';
+    return error;
+}
+
+function startsWith(buffer, bytes) {
+    return buffer.length >= bytes.length && bytes.every((byte, index) => buffer[index] === byte);
+}
+
+// Text files have no magic bytes: accept anything that decodes as UTF-8 without control characters
+function looksLikeText(buffer) {
+    const text = buffer.toString('utf8');
+    return !text.includes('\uFFFD') && !/[\x00-\x08\x0E-\x1F]/.test(text);
+}
+
+function detectFormat(buffer, filename = '') {
+    if (startsWith(buffer, [0x25, 0x50, 0x44, 0x46, 0x2D])) return 'pdf';               // %PDF-
+    if (startsWith(buffer, [0x50, 0x4B, 0x03, 0x04])) {                                 // PK.. (zip container)
+        return buffer.includes('word/') ? 'docx' : 'zip';
+    }
+    if (startsWith(buffer, [0xD0, 0xCF, 0x11, 0xE0, 0xA1, 0xB1, 0x1A, 0xE1])) return 'doc'; // OLE2 (Word 97-2003)
+    if (startsWith(buffer, [0x7B, 0x5C, 0x72, 0x74, 0x66])) return 'rtf';               // {\rtf
+    if (startsWith(buffer, [0x89, 0x50, 0x4E, 0x47, 0x0D, 0x0A, 0x1A, 0x0A])) return 'png';
+    if (startsWith(buffer, [0xFF, 0xD8, 0xFF])) return 'jpeg';
+    if (looksLikeText(buffer)) {
+        return /\.(md|markdown)$/i.test(filename) ? 'md' : 'txt';
+    }
+    return 'unknown';
+}
+
+function rtfToText(rtf) {
+    let text = '';
+    let depth = 0;
+    let skipDepth = null;      // while set, everything inside this group depth is ignored
+    let unicodeSkip = 1;       // \ucN: fallback characters following each \u
+    let pendingSkip = 0;
+    let i = 0;
+
+    const emit = value => {
+        if (skipDepth !== null) return;
+        if (pendingSkip > 0) {
+            pendingSkip--;
+            return;
+        }
+        text += value;
+    };
+
+    while (i < rtf.length) {
+        const char = rtf[i];
+        if (char === '{') {
+            depth++;
+            i++;
+            // {\*\destination ...} groups are optional extensions readers may ignore
+            if (skipDepth === null && rtf.startsWith('\\*', i)) skipDepth = depth;
+            continue;
+        }
+        if (char === '}') {
+            if (skipDepth === depth) skipDepth = null;
+            depth--;
+            i++;
+            continue;
+        }
+        if (char === '\\') {
+            const next = rtf[i + 1];
+            if (next === '\\' || next === '{' || next === '}') {
+                emit(next);
+                i += 2;
+                continue;
+            }
+            if (next === "'") {
+                emit(Buffer.from(rtf.substr(i + 2, 2), 'hex').toString('latin1'));
+                i += 4;
+                continue;
+            }
+            const match = /^\\([a-z]+)(-?\d+)? ?/i.exec(rtf.slice(i, i + 40));
+            if (!match) {
+                i += 2;
+                continue;
+            }
+            const [whole, word, param] = match;
+            i += whole.length;
+            if (RTF_SKIPPED_DESTINATIONS.has(word) && skipDepth === null) {
+                skipDepth = depth;
+            } else if (word === 'par' || word === 'line' || word === 'row') {
+                emit('\n');
+            } else if (word === 'tab' || word === 'cell') {
+                emit('\t');
+            } else if (word === 'uc') {
+                unicodeSkip = Number(param);
+            } else if (word === 'u') {
+                const code = Number(param);
+                emit(String.fromCharCode(code < 0 ? code + 65536 : code));
+                pendingSkip = unicodeSkip;
+            } else if (word === 'bullet') {
+                emit('•');
+            } else if (word === 'emdash' || word === 'endash') {
+                emit('-');
+            }
+            continue;
+        }
+        if (char !== '\r' && char !== '\n') {
+            emit(char);
+        }
+        i++;
+    }
+    return text.replace(/[ \t]+\n/g, '\n').replace(/\n{3,}/g, '\n\n');
+}
+
+// Keep the words, drop the markup; "- " list markers stay so the heuristic parser still sees bullets
+function markdownToText(markdown) {
+    return markdown
+        .replace(/```[\s\S]*?```/g, block => block.replace(/```\w*/g, ''))
+        .replace(/^#{1,6}\s*/gm, '')
+        .replace(/!\[([^\]]*)\]\([^)]*\)/g, '$1')
+        .replace(/\[([^\]]+)\]\(([^)]+)\)/g, '$1 ($2)')
+        .replace(/(\*\*|__)(.*?)\1/g, '$2')
+        .replace(/(^|[^*_])[*_]([^*_\n]+)[*_]/g, '$1$2')
+        .replace(/`([^`]+)`/g, '$1')
+        .replace(/^\s*[*+]\s+/gm, '- ')
+        .replace(/^\s*>\s?/gm, '')
+        .replace(/^\s*(?:-{3,}|\*{3,}|_{3,})\s*$/gm, '');
+}
+
+// Per-page OCR confidence without the recognised text, for the client
+function summarizeOcr(result) {
+    return { confidence: result.confidence, pages: result.pages, truncated: Boolean(result.truncated) };
+}
+
+// Returns { format, text, ocr } where `ocr` is null unless the text came from OCR.
+// Throws an error with code 'UNSUPPORTED_RESUME_FORMAT' for files we can't read.
+async function extractResumeText(buffer, { filename } = {}) {
+    const format = detectFormat(buffer, filename);
+    switch (format) {
+        case 'pdf': {
+            const resumeData = await pdfParse(buffer);
+            if (resumeData.text.trim()) {
+                return { format, text: resumeData.text, ocr: null };
+            }
+            // No text layer: the PDF is a scan
+            const result = await recognizePdf(buffer);
+            return { format, text: result.text, ocr: summarizeOcr(result) };
+        }
+        case 'png':
+        case 'jpeg': {
+            const result = await recognizeImages([buffer]);
+            return { format, text: result.text, ocr: summarizeOcr(result) };
+        }
+        case 'docx': {
+            const result = await mammoth.extractRawText({ buffer });
+            return { format, text: result.value, ocr: null };
+        }
+        case 'rtf':
+            return { format, text: rtfToText(buffer.toString('latin1')), ocr: null };
+        case 'md':
+            return { format, text: markdownToText(buffer.toString('utf8').replace(/^\uFEFF/, '')), ocr: null };
+        case 'txt':
+            return { format, text: buffer.toString('utf8').replace(/^\uFEFF/, ''), ocr: null };
+        case 'doc':
+            throw unsupportedFormat('Legacy Word (.doc) files are not supported.');
+        case 'zip':
+            throw unsupportedFormat('This archive is not a Word document.');
+        default:
+            throw unsupportedFormat('This file type is not supported.');
+    }
+}
+
+module.exports = { detectFormat, extractResumeText };
@@ -0,0 +1,127 @@
+// Portfolio revision history: every save is kept as a numbered snapshot of data + theme.
+// Revision 1 (the original, usually the AI-parsed resume) is always kept; beyond that only the newest ones are.
+const MAX_REVISIONS = 50;
+
+const PERSONAL_INFO_FIELDS = ['name', 'email', 'phone', 'website', 'linkedin', 'github'];
+const EXPERIENCE_FIELDS = ['company', 'role', 'dates', 'description'];
+const PROJECT_FIELDS = ['title', 'description', 'link'];
+const EDUCATION_FIELDS = ['institution', 'degree', 'dates'];
+const CERTIFICATION_FIELDS = ['name', 'issuer', 'date', 'link'];
+const AWARD_FIELDS = ['title', 'issuer', 'date', 'description'];
+const LANGUAGE_FIELDS = ['language', 'proficiency'];
+const PUBLICATION_FIELDS = ['title', 'publisher', 'date', 'link'];
+const CUSTOM_SECTION_FIELDS = ['type', 'hidden', 'body', 'items', 'cards'];
+
+function createRevision(number, data, theme, extra = {}) {
+    return {
+        number,
+        savedAt: new Date().toISOString(),
+        theme,
+        data,
+        ...extra
+    };
+}
+
+// Returns the record's revisions with a new snapshot appended. Records saved before history existed
+// get their current content recorded as revision 1 first, so the pre-edit version survives.
+function appendRevision(record, data, theme, extra = {}) {
+    const revisions = Array.isArray(record.revisions) && record.revisions.length > 0
+        ? record.revisions.slice()
+        : [{ ...createRevision(1, record.data, record.theme), savedAt: record.updatedAt || record.createdAt }];
+    const nextNumber = revisions[revisions.length - 1].number + 1;
+    revisions.push(createRevision(nextNumber, data, theme, extra));
+    if (revisions.length > MAX_REVISIONS) {
+        revisions.splice(1, revisions.length - MAX_REVISIONS);
+    }
+    return revisions;
+}
+
+function findRevision(record, number) {
+    return (record.revisions || []).find(revision => revision.number === Number(number)) || null;
+}
+
+function latestRevisionNumber(record) {
+    const revisions = record.revisions || [];
+    return revisions.length > 0 ? revisions[revisions.length - 1].number : 1;
+}
+
+// Listing view without the (potentially large) portfolio data
+function summarizeRevision(revision) {
+    return {
+        number: revision.number,
+        savedAt: revision.savedAt,
+        themeName: revision.theme ? revision.theme.name : null,
+        restoredFrom: revision.restoredFrom || null,
+        reimported: Boolean(revision.reimported)
+    };
+}
+
+function isSame(a, b) {
+    return JSON.stringify(a === undefined ? null : a) === JSON.stringify(b === undefined ? null : b);
+}
+
+function diffFields(before, after, fields) {
+    return fields
+        .filter(field => !isSame(before[field], after[field]))
+        .map(field => ({ field, before: before[field] ?? null, after: after[field] ?? null }));
+}
+
+// Entries are matched by identity (e.g. company + role) rather than position, so reordering isn't reported as edits
+function diffEntries(beforeList, afterList, keyOf, fields) {
+    const before = Array.isArray(beforeList) ? beforeList : [];
+    const after = Array.isArray(afterList) ? afterList : [];
+    const unmatched = after.map((entry, index) => ({ entry, index }));
+    const changes = [];
+
+    before.forEach((entry, index) => {
+        const matchIndex = unmatched.findIndex(candidate => keyOf(candidate.entry) === keyOf(entry));
+        if (matchIndex === -1) {
+            changes.push({ change: 'removed', key: keyOf(entry), before: entry });
+            return;
+        }
+        const [match] = unmatched.splice(matchIndex, 1);
+        const fieldChanges = diffFields(entry, match.entry, fields);
+        if (fieldChanges.length > 0) {
+            changes.push({ change: 'changed', key: keyOf(entry), fields: fieldChanges });
+        }
+    });
+    unmatched.forEach(({ entry }) => changes.push({ change: 'added', key: keyOf(entry), after: entry }));
+
+    return changes;
+}
+
+function normalizeKey(...parts) {
+    return parts.map(part => String(part || '').trim().toLowerCase()).join(' @ ');
+}
+
+// Field-by-field comparison of two portfolio data objects
+function diffPortfolioData(before = {}, after = {}) {
+    const beforeSkills = Array.isArray(before.skills) ? before.skills : [];
+    const afterSkills = Array.isArray(after.skills) ? after.skills : [];
+
+    return {
+        personalInfo: diffFields(before.personalInfo || {}, after.personalInfo || {}, PERSONAL_INFO_FIELDS),
+        summary: isSame(before.summary, after.summary) ? null : { before: before.summary ?? null, after: after.summary ?? null },
+        skills: {
+            added: afterSkills.filter(skill => !beforeSkills.includes(skill)),
+            removed: beforeSkills.filter(skill => !afterSkills.includes(skill))
+        },
+        experience: diffEntries(before.experience, after.experience, job => normalizeKey(job.role, job.company), EXPERIENCE_FIELDS),
+        projects: diffEntries(before.projects, after.projects, project => normalizeKey(project.title), PROJECT_FIELDS),
+        education: diffEntries(before.education, after.education, entry => normalizeKey(entry.degree, entry.institution), EDUCATION_FIELDS),
+        certifications: diffEntries(before.certifications, after.certifications, entry => normalizeKey(entry.name), CERTIFICATION_FIELDS),
+        awards: diffEntries(before.awards, after.awards, award => normalizeKey(award.title), AWARD_FIELDS),
+        languages: diffEntries(before.languages, after.languages, entry => normalizeKey(entry.language), LANGUAGE_FIELDS),
+        publications: diffEntries(before.publications, after.publications, publication => normalizeKey(publication.title), PUBLICATION_FIELDS),
+        customSections: diffEntries(before.customSections, after.customSections, section => normalizeKey(section.title), CUSTOM_SECTION_FIELDS)
+    };
+}
+
+module.exports = {
+    createRevision,
+    appendRevision,
+    findRevision,
+    latestRevisionNumber,
+    summarizeRevision,
+    diffPortfolioData
+};
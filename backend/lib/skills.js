@@ -0,0 +1,203 @@
+// Canonical skill names and categories. Resumes spell the same skill many ways ("JS", "Javascript", "JavaScript"),
+// so every alias is mapped to one canonical name before skills are de-duplicated and grouped.
+// Skills that aren't in the dictionary are kept as written and grouped under "Other".
+
+const CATEGORIES = [
+    { key: 'languages', label: 'Languages' },
+    { key: 'frameworks', label: 'Frameworks & Libraries' },
+    { key: 'tools', label: 'Tools & Platforms' },
+    { key: 'data', label: 'Data' },
+    { key: 'soft', label: 'Soft Skills' },
+    { key: 'other', label: 'Other' }
+];
+
+// The first name of each entry is canonical; the rest are aliases
+const DICTIONARY = {
+    languages: [
+        ['JavaScript', 'JS', 'ECMAScript', 'ES6', 'Vanilla JS'],
+        ['TypeScript', 'TS'],
+        ['Python', 'Python 3'],
+        ['Java'],
+        ['C'],
+        ['C++', 'CPP'],
+        ['C#', 'C Sharp'],
+        ['Go', 'Golang'],
+        ['Rust'],
+        ['Ruby'],
+        ['PHP'],
+        ['Swift'],
+        ['Kotlin'],
+        ['Scala'],
+        ['R'],
+        ['MATLAB'],
+        ['Dart'],
+        ['Perl'],
+        ['Shell Scripting', 'Bash', 'Shell', 'Zsh'],
+        ['HTML', 'HTML5'],
+        ['CSS', 'CSS3'],
+        ['Sass', 'SCSS'],
+        ['SQL'],
+        ['GraphQL']
+    ],
+    frameworks: [
+        ['React', 'React.js'],
+        ['React Native'],
+        ['Angular', 'AngularJS'],
+        ['Vue.js', 'Vue'],
+        ['Svelte', 'SvelteKit'],
+        ['Next.js', 'Next'],
+        ['Nuxt', 'Nuxt.js'],
+        ['Node.js', 'Node'],
+        ['Express', 'Express.js'],
+        ['NestJS'],
+        ['Redux', 'Redux Toolkit'],
+        ['jQuery'],
+        ['Bootstrap'],
+        ['Tailwind CSS', 'Tailwind'],
+        ['Django'],
+        ['Flask'],
+        ['FastAPI'],
+        ['Spring Boot'],
+        ['Spring', 'Spring Framework'],
+        ['Ruby on Rails', 'Rails', 'RoR'],
+        ['Laravel'],
+        ['.NET', 'dotnet', '.NET Core', 'ASP.NET', 'ASP.NET Core'],
+        ['Flutter'],
+        ['SwiftUI'],
+        ['Jest'],
+        ['Cypress'],
+        ['Selenium']
+    ],
+    tools: [
+        ['Git'],
+        ['GitHub'],
+        ['GitLab'],
+        ['Docker'],
+        ['Kubernetes', 'K8s'],
+        ['AWS', 'Amazon Web Services'],
+        ['Azure', 'Microsoft Azure'],
+        ['Google Cloud', 'GCP', 'Google Cloud Platform'],
+        ['Firebase'],
+        ['Heroku'],
+        ['Netlify'],
+        ['Vercel'],
+        ['Terraform'],
+        ['Jenkins'],
+        ['CI/CD', 'CI CD', 'Continuous Integration'],
+        ['Linux', 'Unix'],
+        ['Nginx'],
+        ['Webpack'],
+        ['Vite'],
+        ['npm'],
+        ['Postman'],
+        ['Jira'],
+        ['Confluence'],
+        ['Agile', 'Agile Methodologies', 'Agile Development'],
+        ['Scrum'],
+        ['Figma'],
+        ['Sketch'],
+        ['Adobe XD', 'XD'],
+        ['Adobe Photoshop', 'Photoshop'],
+        ['Adobe Illustrator', 'Illustrator'],
+        ['Adobe InDesign', 'InDesign'],
+        ['AutoCAD'],
+        ['SolidWorks'],
+        ['Google Analytics', 'GA4'],
+        ['HubSpot'],
+        ['Salesforce'],
+        ['SAP'],
+        ['QuickBooks'],
+        ['Microsoft Office', 'MS Office', 'Office 365', 'Microsoft 365']
+    ],
+    data: [
+        ['PostgreSQL', 'Postgres', 'psql'],
+        ['MySQL'],
+        ['SQLite'],
+        ['Microsoft SQL Server', 'SQL Server', 'MSSQL'],
+        ['Oracle Database', 'Oracle DB'],
+        ['MongoDB', 'Mongo'],
+        ['Redis'],
+        ['Elasticsearch'],
+        ['DynamoDB'],
+        ['Snowflake'],
+        ['BigQuery'],
+        ['Apache Spark', 'Spark', 'PySpark'],
+        ['Hadoop'],
+        ['Kafka', 'Apache Kafka'],
+        ['pandas'],
+        ['NumPy'],
+        ['scikit-learn', 'sklearn'],
+        ['TensorFlow'],
+        ['PyTorch'],
+        ['Machine Learning', 'ML'],
+        ['Data Analysis', 'Data Analytics'],
+        ['Data Visualization', 'Data Visualisation'],
+        ['Tableau'],
+        ['Power BI'],
+        ['Microsoft Excel', 'Excel', 'MS Excel']
+    ],
+    soft: [
+        ['Communication', 'Communication Skills', 'Verbal Communication', 'Written Communication'],
+        ['Leadership', 'Team Leadership'],
+        ['Teamwork', 'Team Player', 'Collaboration'],
+        ['Problem Solving', 'Problem Solver'],
+        ['Critical Thinking', 'Analytical Thinking'],
+        ['Time Management'],
+        ['Project Management'],
+        ['Stakeholder Management'],
+        ['Mentoring', 'Mentorship', 'Coaching'],
+        ['Public Speaking', 'Presentation Skills', 'Presentations'],
+        ['Adaptability', 'Flexibility'],
+        ['Creativity', 'Creative Thinking'],
+        ['Attention to Detail', 'Detail Oriented'],
+        ['Negotiation'],
+        ['Customer Service', 'Customer Support']
+    ]
+};
+
+// "Node.js", "NodeJS" and "node js" all look up as "nodejs"; + and # are kept so C, C++ and C# stay apart
+function lookupKey(name) {
+    return name.toLowerCase().replace(/[\s._-]+/g, '');
+}
+
+const SKILLS_BY_KEY = new Map();
+for (const [category, entries] of Object.entries(DICTIONARY)) {
+    for (const [name, ...aliases] of entries) {
+        for (const alias of [name, ...aliases]) {
+            SKILLS_BY_KEY.set(lookupKey(alias), { name, category });
+        }
+    }
+}
+
+function canonicalSkill(name) {
+    const skill = SKILLS_BY_KEY.get(lookupKey(name));
+    return skill ? skill.name : name;
+}
+
+function skillCategory(name) {
+    const skill = SKILLS_BY_KEY.get(lookupKey(name));
+    return skill ? skill.category : 'other';
+}
+
+// Canonical names in their original order; later duplicates, including other aliases of the same skill, are dropped
+function normalizeSkillNames(skills) {
+    const seen = new Set();
+    const normalized = [];
+    for (const skill of skills) {
+        const name = canonicalSkill(skill);
+        const key = lookupKey(name);
+        if (seen.has(key)) continue;
+        seen.add(key);
+        normalized.push(name);
+    }
+    return normalized;
+}
+
+// [{ category, label, skills }] in CATEGORIES order, empty categories left out; skills keep their order
+function groupSkills(skills) {
+    return CATEGORIES
+        .map(({ key, label }) => ({ category: key, label, skills: skills.filter(skill => skillCategory(skill) === key) }))
+        .filter(group => group.skills.length > 0);
+}
+
+module.exports = { normalizeSkillNames, groupSkills, skillCategory };
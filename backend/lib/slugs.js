@@ -0,0 +1,57 @@
+// Vanity slugs for /p/:slug portfolio URLs
+
+// Words that collide with app routes or could be mistaken for official pages
+const RESERVED_SLUGS = new Set([
+    'about', 'admin', 'api', 'app', 'assets', 'contact', 'dashboard', 'edit', 'editor', 'features',
+    'health', 'help', 'home', 'index', 'login', 'logout', 'new', 'p', 'portfolio', 'portfolioforge',
+    'portfolios', 'preview', 'public', 'settings', 'share', 'shared', 'signup', 'static', 'support', 'www'
+]);
+
+const MIN_LENGTH = 3;
+const MAX_LENGTH = 40;
+const SLUG_PATTERN = /^[a-z0-9]+(?:-[a-z0-9]+)*$/;
+
+function normalizeSlug(value) {
+    return String(value || '').trim().toLowerCase();
+}
+
+// Returns an error message, or null when the slug is acceptable
+function validateSlug(slug) {
+    if (slug.length < MIN_LENGTH || slug.length > MAX_LENGTH) {
+        return `Slugs must be between ${MIN_LENGTH} and ${MAX_LENGTH} characters long.`;
+    }
+    if (!SLUG_PATTERN.test(slug)) {
+        return 'Slugs may only contain lowercase letters, numbers and single hyphens between words.';
+    }
+    if (RESERVED_SLUGS.has(slug)) {
+        return `"${slug}" is reserved. Please choose another slug.`;
+    }
+    return null;
+}
+
+// "MOHAMMED FAROOK M" -> "mohammed-farook-m"
+function suggestSlug(name) {
+    return normalizeSlug(name)
+        .normalize('NFKD')
+        .replace(/[\u0300-\u036f]/g, '')
+        .replace(/[^a-z0-9]+/g, '-')
+        .replace(/^-+|-+$/g, '')
+        .slice(0, MAX_LENGTH)
+        .replace(/-+$/, '');
+}
+
+// Does the record answer to this slug, either currently or as a retired slug that now redirects?
+function matchesSlug(record, slug) {
+    return record.slug === slug || (Array.isArray(record.previousSlugs) && record.previousSlugs.includes(slug));
+}
+
+// Returns the updated slug fields for a record moving to `slug`; the old slug keeps redirecting
+function applySlugChange(record, slug) {
+    const previousSlugs = (record.previousSlugs || []).filter(previous => previous !== slug);
+    if (record.slug && record.slug !== slug) {
+        previousSlugs.push(record.slug);
+    }
+    return { slug, previousSlugs };
+}
+
+module.exports = { RESERVED_SLUGS, normalizeSlug, validateSlug, suggestSlug, matchesSlug, applySlugChange };
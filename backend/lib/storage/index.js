@@ -0,0 +1,59 @@
+const path = require('path');
+const { createMemoryStore } = require('./memory-store');
+const { createJsonStore } = require('./json-store');
+const { withMigrations } = require('../migrations');
+
+const DEFAULT_DIR = path.join(__dirname, '..', '..', 'portfolios');
+
+// Every store exposes the same async interface over the same record shape:
+//   load() -> count, get(id) -> record | null, list() -> ids, findBySlug(slug) -> { id, record } | null,
+//   create(id, record) -> record, update(id, updater) -> record | null, delete(id) -> boolean
+// A record is { data, theme, profilePictureUrl, createdAt, updatedAt } where `theme` is a copy of the registry theme.
+// Stores also keep the parse cache (see ../parse-cache.js) and custom themes (see ../themes.js) apart from the portfolios:
+//   getCached(key) -> entry | null, setCached(key, entry), deleteCached(key)
+//   listThemes(portfolioId) -> that portfolio's themes, oldest first, getTheme(portfolioId, key) -> theme | null,
+//   createTheme(portfolioId, theme, limit) -> theme, or null if the portfolio is gone or already has `limit`
+//   themes (checked and saved under the portfolio's lock). delete(id) removes the portfolio's custom themes along with it.
+// Records are migrated to the current schemaVersion on read (see ../migrations.js); `migrate: false` gives
+// the driver's records as stored, for scripts/migrate-store.js.
+function createStore(options = {}) {
+    const store = createDriverStore(options);
+    return options.migrate === false ? store : withMigrations(store);
+}
+
+function createDriverStore(options) {
+    const driver = options.driver || process.env.PORTFOLIO_STORE || 'json';
+
+    switch (driver) {
+        case 'memory':
+            return createMemoryStore();
+        case 'json':
+            return createJsonStore(options.dir || process.env.PORTFOLIO_DIR || DEFAULT_DIR);
+        case 'sqlite': {
+            const { createSqliteStore } = require('./sqlite-store');
+            return createSqliteStore(options.filename || process.env.PORTFOLIO_SQLITE_PATH || path.join(__dirname, '..', '..', 'portfolios.sqlite'));
+        }
+        case 'supabase': {
+            const { createSupabaseStore } = require('./supabase-store');
+            return createSupabaseStore(options.url || process.env.SUPABASE_URL, options.key || process.env.SUPABASE_ANON_KEY);
+        }
+        default:
+            throw new Error(`Unknown PORTFOLIO_STORE "${driver}". Use memory, json, sqlite or supabase.`);
+    }
+}
+
+// Shared, already-loaded store for serverless handlers (one per warm function instance).
+// Deployed functions keep using Supabase whenever it is configured; set PORTFOLIO_STORE to run them locally without it.
+let defaultStore = null;
+function getStore() {
+    if (!defaultStore) {
+        const store = createStore({ driver: process.env.PORTFOLIO_STORE || (process.env.SUPABASE_URL ? 'supabase' : 'json') });
+        defaultStore = store.load().then(() => store);
+        defaultStore.catch(() => {
+            defaultStore = null;
+        });
+    }
+    return defaultStore;
+}
+
+module.exports = { createStore, getStore };
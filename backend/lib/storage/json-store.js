@@ -0,0 +1,173 @@
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const { createLockQueue } = require('./lock');
+const { matchesSlug } = require('../slugs');
+
+// File-backed portfolio store: one <id>.json file per portfolio, cached in memory after load().
+// Parse cache entries live in a cache/ subdirectory and are read from disk on demand; custom themes are
+// one <key>.json file each in themes/<portfolio id>/.
+function createJsonStore(dir) {
+    const cacheDir = path.join(dir, 'cache');
+    const themesDir = path.join(dir, 'themes');
+    const records = new Map();
+    // Serialize writes per ID so concurrent updates never interleave
+    const withLock = createLockQueue();
+
+    function filePath(id) {
+        return path.join(dir, `${id}.json`);
+    }
+
+    function cachePath(key) {
+        return path.join(cacheDir, `${key}.json`);
+    }
+
+    function portfolioThemesDir(portfolioId) {
+        return path.join(themesDir, portfolioId);
+    }
+
+    function themePath(portfolioId, key) {
+        return path.join(portfolioThemesDir(portfolioId), `${key}.json`);
+    }
+
+    async function readJson(file) {
+        try {
+            return JSON.parse(await fs.promises.readFile(file, 'utf8'));
+        } catch (error) {
+            if (error.code === 'ENOENT') return null;
+            throw error;
+        }
+    }
+
+    // Write to a temp file and rename it over the target, so a crash never leaves a half-written record
+    async function writeAtomic(target, record) {
+        const tmp = `${target}.${process.pid}.${crypto.randomBytes(6).toString('hex')}.tmp`;
+        const handle = await fs.promises.open(tmp, 'w');
+        try {
+            await handle.writeFile(JSON.stringify(record, null, 2));
+            await handle.sync();
+        } finally {
+            await handle.close();
+        }
+        try {
+            await fs.promises.rename(tmp, target);
+        } catch (error) {
+            await fs.promises.unlink(tmp).catch(() => {});
+            throw error;
+        }
+    }
+
+    async function load() {
+        await fs.promises.mkdir(dir, { recursive: true });
+        const files = await fs.promises.readdir(dir);
+        for (const file of files) {
+            if (file.endsWith('.tmp')) {
+                // Leftover from an interrupted write; the previous version is still intact
+                await fs.promises.unlink(path.join(dir, file)).catch(() => {});
+                continue;
+            }
+            if (!file.endsWith('.json')) continue;
+            try {
+                const contents = await fs.promises.readFile(path.join(dir, file), 'utf8');
+                records.set(path.basename(file, '.json'), JSON.parse(contents));
+            } catch (error) {
+                console.error(`Skipping unreadable portfolio file ${file}:`, error.message);
+            }
+        }
+        return records.size;
+    }
+
+    async function get(id) {
+        return records.get(id) || null;
+    }
+
+    async function list() {
+        return Array.from(records.keys());
+    }
+
+    async function findBySlug(slug) {
+        for (const [id, record] of records) {
+            if (matchesSlug(record, slug)) return { id, record };
+        }
+        return null;
+    }
+
+    function create(id, record) {
+        return withLock(id, async () => {
+            await writeAtomic(filePath(id), record);
+            records.set(id, record);
+            return record;
+        });
+    }
+
+    // Apply updater(current) under the record's lock; resolves to null if the portfolio doesn't exist
+    function update(id, updater) {
+        return withLock(id, async () => {
+            const current = records.get(id);
+            if (!current) return null;
+            const next = await updater(current);
+            await writeAtomic(filePath(id), next);
+            records.set(id, next);
+            return next;
+        });
+    }
+
+    // Resolves to false if there was nothing to delete
+    function remove(id) {
+        return withLock(id, async () => {
+            if (!records.has(id)) return false;
+            await fs.promises.unlink(filePath(id)).catch(error => {
+                if (error.code !== 'ENOENT') throw error;
+            });
+            records.delete(id);
+            await fs.promises.rm(portfolioThemesDir(id), { recursive: true, force: true });
+            return true;
+        });
+    }
+
+    async function getCached(key) {
+        return readJson(cachePath(key));
+    }
+
+    async function setCached(key, entry) {
+        await fs.promises.mkdir(cacheDir, { recursive: true });
+        await writeAtomic(cachePath(key), entry);
+    }
+
+    async function deleteCached(key) {
+        await fs.promises.unlink(cachePath(key)).catch(error => {
+            if (error.code !== 'ENOENT') throw error;
+        });
+    }
+
+    async function listThemes(portfolioId) {
+        const themeDir = portfolioThemesDir(portfolioId);
+        const files = await fs.promises.readdir(themeDir).catch(error => {
+            if (error.code === 'ENOENT') return [];
+            throw error;
+        });
+        const found = await Promise.all(files.filter(file => file.endsWith('.json')).map(file => readJson(path.join(themeDir, file))));
+        return found.filter(Boolean).sort((a, b) => String(a.createdAt).localeCompare(String(b.createdAt)));
+    }
+
+    async function getTheme(portfolioId, key) {
+        return readJson(themePath(portfolioId, key));
+    }
+
+    function createTheme(portfolioId, theme, limit) {
+        return withLock(portfolioId, async () => {
+            if (!records.has(portfolioId) || (await listThemes(portfolioId)).length >= limit) return null;
+            await fs.promises.mkdir(portfolioThemesDir(portfolioId), { recursive: true });
+            await writeAtomic(themePath(portfolioId, theme.key), theme);
+            return theme;
+        });
+    }
+
+    return {
+        load, get, list, findBySlug, create, update, delete: remove,
+        getCached, setCached, deleteCached,
+        listThemes, getTheme, createTheme
+    };
+}
+
+module.exports = { createJsonStore };
@@ -0,0 +1,19 @@
+// Per-key promise queue: tasks for the same key run one after another, different keys run freely
+function createLockQueue() {
+    const locks = new Map();
+
+    return function withLock(key, task) {
+        const previous = locks.get(key) || Promise.resolve();
+        const current = previous.then(task);
+        const tail = current.catch(() => {});
+        locks.set(key, tail);
+        tail.then(() => {
+            if (locks.get(key) === tail) {
+                locks.delete(key);
+            }
+        });
+        return current;
+    };
+}
+
+module.exports = { createLockQueue };
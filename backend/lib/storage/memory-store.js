@@ -0,0 +1,90 @@
+const { createLockQueue } = require('./lock');
+const { matchesSlug } = require('../slugs');
+
+// Non-persistent store for tests and throwaway local runs
+function createMemoryStore() {
+    const records = new Map();
+    const cache = new Map();
+    const customThemes = new Map();
+    const withLock = createLockQueue();
+
+    async function load() {
+        return records.size;
+    }
+
+    async function get(id) {
+        return records.get(id) || null;
+    }
+
+    async function list() {
+        return Array.from(records.keys());
+    }
+
+    async function findBySlug(slug) {
+        for (const [id, record] of records) {
+            if (matchesSlug(record, slug)) return { id, record };
+        }
+        return null;
+    }
+
+    function create(id, record) {
+        return withLock(id, async () => {
+            records.set(id, record);
+            return record;
+        });
+    }
+
+    function update(id, updater) {
+        return withLock(id, async () => {
+            const current = records.get(id);
+            if (!current) return null;
+            const next = await updater(current);
+            records.set(id, next);
+            return next;
+        });
+    }
+
+    function remove(id) {
+        return withLock(id, async () => {
+            customThemes.delete(id);
+            return records.delete(id);
+        });
+    }
+
+    async function getCached(key) {
+        return cache.get(key) || null;
+    }
+
+    async function setCached(key, entry) {
+        cache.set(key, entry);
+    }
+
+    async function deleteCached(key) {
+        cache.delete(key);
+    }
+
+    async function listThemes(portfolioId) {
+        return Array.from((customThemes.get(portfolioId) || new Map()).values());
+    }
+
+    async function getTheme(portfolioId, key) {
+        return (customThemes.get(portfolioId) || new Map()).get(key) || null;
+    }
+
+    function createTheme(portfolioId, theme, limit) {
+        return withLock(portfolioId, async () => {
+            const themes = customThemes.get(portfolioId) || new Map();
+            if (!records.has(portfolioId) || themes.size >= limit) return null;
+            customThemes.set(portfolioId, themes.set(theme.key, theme));
+            return theme;
+        });
+    }
+
+    return {
+        load, get, list, findBySlug, create, update, delete: remove,
+        getCached, setCached, deleteCached,
+        listThemes, getTheme, createTheme
+    };
+}
+
+module.exports = { createMemoryStore };
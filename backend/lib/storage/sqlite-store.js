@@ -0,0 +1,131 @@
+const fs = require('fs');
+const path = require('path');
+const { createLockQueue } = require('./lock');
+
+// Single-file SQLite store; each portfolio record is kept as a JSON document keyed by ID
+function createSqliteStore(filename) {
+    // Loaded lazily so the other stores work without the native module installed
+    const Database = require('better-sqlite3');
+    const withLock = createLockQueue();
+    let db = null;
+
+    async function load() {
+        fs.mkdirSync(path.dirname(filename), { recursive: true });
+        db = new Database(filename);
+        db.pragma('journal_mode = WAL');
+        db.exec(`
+            CREATE TABLE IF NOT EXISTS portfolios (
+                id TEXT PRIMARY KEY,
+                record TEXT NOT NULL,
+                created_at TEXT,
+                updated_at TEXT
+            );
+            CREATE TABLE IF NOT EXISTS parse_cache (
+                key TEXT PRIMARY KEY,
+                entry TEXT NOT NULL,
+                expires_at TEXT
+            );
+            CREATE TABLE IF NOT EXISTS themes (
+                key TEXT PRIMARY KEY,
+                theme TEXT NOT NULL,
+                created_at TEXT
+            );
+            CREATE INDEX IF NOT EXISTS themes_portfolio ON themes (json_extract(theme, '$.portfolioId'))
+        `);
+        return db.prepare('SELECT COUNT(*) AS count FROM portfolios').get().count;
+    }
+
+    function read(id) {
+        const row = db.prepare('SELECT record FROM portfolios WHERE id = ?').get(id);
+        return row ? JSON.parse(row.record) : null;
+    }
+
+    async function get(id) {
+        return read(id);
+    }
+
+    async function list() {
+        return db.prepare('SELECT id FROM portfolios ORDER BY created_at').all().map(row => row.id);
+    }
+
+    // Matches the current slug or one of the retired slugs kept for redirects
+    async function findBySlug(slug) {
+        const row = db.prepare(`
+            SELECT id, record FROM portfolios
+            WHERE json_extract(record, '$.slug') = ?
+               OR EXISTS (SELECT 1 FROM json_each(record, '$.previousSlugs') WHERE value = ?)
+            LIMIT 1
+        `).get(slug, slug);
+        return row ? { id: row.id, record: JSON.parse(row.record) } : null;
+    }
+
+    function create(id, record) {
+        return withLock(id, async () => {
+            db.prepare('INSERT INTO portfolios (id, record, created_at, updated_at) VALUES (?, ?, ?, ?)')
+                .run(id, JSON.stringify(record), record.createdAt || null, record.updatedAt || null);
+            return record;
+        });
+    }
+
+    function update(id, updater) {
+        return withLock(id, async () => {
+            const current = read(id);
+            if (!current) return null;
+            const next = await updater(current);
+            db.prepare('UPDATE portfolios SET record = ?, updated_at = ? WHERE id = ?')
+                .run(JSON.stringify(next), next.updatedAt || null, id);
+            return next;
+        });
+    }
+
+    function remove(id) {
+        return withLock(id, async () => db.transaction(() => {
+            db.prepare("DELETE FROM themes WHERE json_extract(theme, '$.portfolioId') = ?").run(id);
+            return db.prepare('DELETE FROM portfolios WHERE id = ?').run(id).changes > 0;
+        })());
+    }
+
+    async function getCached(key) {
+        const row = db.prepare('SELECT entry FROM parse_cache WHERE key = ?').get(key);
+        return row ? JSON.parse(row.entry) : null;
+    }
+
+    async function setCached(key, entry) {
+        db.prepare('INSERT OR REPLACE INTO parse_cache (key, entry, expires_at) VALUES (?, ?, ?)')
+            .run(key, JSON.stringify(entry), entry.expiresAt || null);
+    }
+
+    async function deleteCached(key) {
+        db.prepare('DELETE FROM parse_cache WHERE key = ?').run(key);
+    }
+
+    async function listThemes(portfolioId) {
+        return db.prepare("SELECT theme FROM themes WHERE json_extract(theme, '$.portfolioId') = ? ORDER BY created_at")
+            .all(portfolioId).map(row => JSON.parse(row.theme));
+    }
+
+    async function getTheme(portfolioId, key) {
+        const row = db.prepare("SELECT theme FROM themes WHERE key = ? AND json_extract(theme, '$.portfolioId') = ?").get(key, portfolioId);
+        return row ? JSON.parse(row.theme) : null;
+    }
+
+    // The count and insert share an immediate transaction, so other processes on the same file can't interleave
+    function createTheme(portfolioId, theme, limit) {
+        return withLock(portfolioId, async () => db.transaction(() => {
+            if (!db.prepare('SELECT 1 FROM portfolios WHERE id = ?').get(portfolioId)) return null;
+            const { count } = db.prepare("SELECT COUNT(*) AS count FROM themes WHERE json_extract(theme, '$.portfolioId') = ?").get(portfolioId);
+            if (count >= limit) return null;
+            db.prepare('INSERT INTO themes (key, theme, created_at) VALUES (?, ?, ?)')
+                .run(theme.key, JSON.stringify(theme), theme.createdAt || null);
+            return theme;
+        }).immediate());
+    }
+
+    return {
+        load, get, list, findBySlug, create, update, delete: remove,
+        getCached, setCached, deleteCached,
+        listThemes, getTheme, createTheme
+    };
+}
+
+module.exports = { createSqliteStore };
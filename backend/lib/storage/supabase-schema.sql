@@ -0,0 +1,46 @@
+-- Tables used by the Supabase store (PORTFOLIO_STORE=supabase). Safe to run again, and it is also the upgrade
+-- step for a database created by the original share function: run this whole file in the SQL editor, then
+-- `node scripts/migrate-store.js` to rewrite the records at the current schema version.
+create table if not exists portfolios (
+    share_id text primary key,
+    portfolio_data jsonb not null,
+    selected_theme jsonb,
+    profile_picture_url text,
+    created_at timestamptz not null default now(),
+    updated_at timestamptz,
+    metadata jsonb not null default '{}'::jsonb
+);
+
+-- Upgrade from the original table, which had neither column and stored just the theme name in selected_theme.
+-- The store reads a { name } theme as that name (see fromRow in supabase-store.js).
+alter table portfolios add column if not exists metadata jsonb not null default '{}'::jsonb;
+alter table portfolios add column if not exists updated_at timestamptz;
+do $$
+declare
+    theme_type text;
+begin
+    select data_type into theme_type from information_schema.columns
+        where table_schema = current_schema() and table_name = 'portfolios' and column_name = 'selected_theme';
+    if theme_type = 'json' then
+        alter table portfolios alter column selected_theme type jsonb using selected_theme::jsonb;
+    elsif theme_type <> 'jsonb' then
+        alter table portfolios alter column selected_theme type jsonb
+            using case when selected_theme is null then null else jsonb_build_object('name', selected_theme::text) end;
+    end if;
+end
+$$;
+
+-- AI parse results keyed by a hash of the resume text, prompts and model (see backend/lib/parse-cache.js)
+create table if not exists parse_cache (
+    key text primary key,
+    entry jsonb not null,
+    expires_at timestamptz
+);
+
+-- Custom themes saved from the editor's theme builder, each owned by one portfolio (see backend/lib/themes.js)
+create table if not exists themes (
+    key text primary key,
+    theme jsonb not null,
+    created_at timestamptz not null default now()
+);
+create index if not exists themes_portfolio_idx on themes ((theme->>'portfolioId'));
@@ -0,0 +1,161 @@
+const { createLockQueue } = require('./lock');
+
+const MAX_UPDATE_ATTEMPTS = 3;
+
+// Column mapping for the `portfolios` table; anything not covered by a column lives in `metadata`
+function toRow(id, record) {
+    const { data, theme, profilePictureUrl, createdAt, updatedAt, ...metadata } = record;
+    return {
+        share_id: id,
+        portfolio_data: data,
+        selected_theme: theme,
+        profile_picture_url: profilePictureUrl || '',
+        created_at: createdAt,
+        updated_at: updatedAt || null,
+        metadata
+    };
+}
+
+function fromRow(row) {
+    return {
+        ...(row.metadata || {}),
+        data: row.portfolio_data,
+        // Older rows stored just the theme name here
+        theme: typeof row.selected_theme === 'string' ? { name: row.selected_theme } : row.selected_theme,
+        profilePictureUrl: row.profile_picture_url,
+        createdAt: row.created_at,
+        updatedAt: row.updated_at || undefined
+    };
+}
+
+function createSupabaseStore(url, key) {
+    // Loaded lazily so local runs don't need the Supabase client installed
+    const { createClient } = require('@supabase/supabase-js');
+    const supabase = createClient(url, key);
+    const withLock = createLockQueue();
+
+    async function load() {
+        const { count, error } = await supabase.from('portfolios').select('share_id', { count: 'exact', head: true });
+        if (error) throw new Error(`Supabase error: ${error.message}`);
+        return count || 0;
+    }
+
+    async function readRow(id) {
+        const { data, error } = await supabase
+            .from('portfolios')
+            .select('*')
+            .eq('share_id', id)
+            .maybeSingle();
+        if (error) throw new Error(`Supabase error: ${error.message}`);
+        return data;
+    }
+
+    async function get(id) {
+        const row = await readRow(id);
+        return row ? fromRow(row) : null;
+    }
+
+    async function list() {
+        const { data, error } = await supabase.from('portfolios').select('share_id').order('created_at');
+        if (error) throw new Error(`Supabase error: ${error.message}`);
+        return data.map(row => row.share_id);
+    }
+
+    // Slugs live in the metadata column: check the current slug first, then retired ones kept for redirects
+    async function findBySlug(slug) {
+        for (const filter of [{ slug }, { previousSlugs: [slug] }]) {
+            const { data, error } = await supabase
+                .from('portfolios')
+                .select('*')
+                .contains('metadata', filter)
+                .limit(1);
+            if (error) throw new Error(`Supabase error: ${error.message}`);
+            if (data.length > 0) return { id: data[0].share_id, record: fromRow(data[0]) };
+        }
+        return null;
+    }
+
+    function create(id, record) {
+        return withLock(id, async () => {
+            const { error } = await supabase.from('portfolios').insert([toRow(id, record)]);
+            if (error) throw new Error(`Supabase error: ${error.message}`);
+            return record;
+        });
+    }
+
+    // Other function instances may write the same row, so only commit if updated_at hasn't moved
+    function update(id, updater) {
+        return withLock(id, async () => {
+            for (let attempt = 1; attempt <= MAX_UPDATE_ATTEMPTS; attempt++) {
+                const row = await readRow(id);
+                if (!row) return null;
+                const next = await updater(fromRow(row));
+                let query = supabase.from('portfolios').update(toRow(id, next)).eq('share_id', id);
+                query = row.updated_at ? query.eq('updated_at', row.updated_at) : query.is('updated_at', null);
+                const { data, error } = await query.select('share_id');
+                if (error) throw new Error(`Supabase error: ${error.message}`);
+                if (data.length > 0) return next;
+            }
+            throw new Error(`Portfolio ${id} was modified concurrently; giving up after ${MAX_UPDATE_ATTEMPTS} attempts`);
+        });
+    }
+
+    function remove(id) {
+        return withLock(id, async () => {
+            const { data, error } = await supabase.from('portfolios').delete().eq('share_id', id).select('share_id');
+            if (error) throw new Error(`Supabase error: ${error.message}`);
+            const { error: themesError } = await supabase.from('themes').delete().eq('theme->>portfolioId', id);
+            if (themesError) throw new Error(`Supabase error: ${themesError.message}`);
+            return data.length > 0;
+        });
+    }
+
+    async function getCached(key) {
+        const { data, error } = await supabase.from('parse_cache').select('entry').eq('key', key).maybeSingle();
+        if (error) throw new Error(`Supabase error: ${error.message}`);
+        return data ? data.entry : null;
+    }
+
+    async function setCached(key, entry) {
+        const { error } = await supabase.from('parse_cache').upsert([{ key, entry, expires_at: entry.expiresAt }]);
+        if (error) throw new Error(`Supabase error: ${error.message}`);
+    }
+
+    async function deleteCached(key) {
+        const { error } = await supabase.from('parse_cache').delete().eq('key', key);
+        if (error) throw new Error(`Supabase error: ${error.message}`);
+    }
+
+    async function listThemes(portfolioId) {
+        const { data, error } = await supabase.from('themes').select('theme').eq('theme->>portfolioId', portfolioId).order('created_at');
+        if (error) throw new Error(`Supabase error: ${error.message}`);
+        return data.map(row => row.theme);
+    }
+
+    async function getTheme(portfolioId, key) {
+        const { data, error } = await supabase.from('themes').select('theme').eq('key', key).eq('theme->>portfolioId', portfolioId).maybeSingle();
+        if (error) throw new Error(`Supabase error: ${error.message}`);
+        return data ? data.theme : null;
+    }
+
+    function createTheme(portfolioId, theme, limit) {
+        return withLock(portfolioId, async () => {
+            if (!(await readRow(portfolioId))) return null;
+            const { count, error: countError } = await supabase.from('themes')
+                .select('key', { count: 'exact', head: true }).eq('theme->>portfolioId', portfolioId);
+            if (countError) throw new Error(`Supabase error: ${countError.message}`);
+            if (count >= limit) return null;
+            const { error } = await supabase.from('themes').insert([{ key: theme.key, theme, created_at: theme.createdAt }]);
+            if (error) throw new Error(`Supabase error: ${error.message}`);
+            return theme;
+        });
+    }
+
+    return {
+        load, get, list, findBySlug, create, update, delete: remove,
+        getCached, setCached, deleteCached,
+        listThemes, getTheme, createTheme
+    };
+}
+
+module.exports = { createSupabaseStore, toRow, fromRow };
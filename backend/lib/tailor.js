@@ -0,0 +1,186 @@
+// Tailors a portfolio to a job description: skills that the job asks for move to the front and are highlighted,
+// experience bullets are reordered by how many job keywords they mention, and the summary is retargeted by the AI.
+// Keyword matching runs locally; only the summary rewrite is sent to the LLM provider, and it's optional.
+const { extractJson } = require('./resume-ai');
+const { groupSkills } = require('./skills');
+
+const MIN_JOB_DESCRIPTION_LENGTH = 50;
+const MAX_JOB_DESCRIPTION_LENGTH = 20000;
+const MAX_KEYWORDS = 25;
+
+// Words that carry no meaning on their own in a job ad
+const STOPWORDS = new Set(`
+    a about above across after all also an and any are as at be been being both but by can could do does each either
+    etc for from had has have how if in into is it its may might more most must no not of on or other our out over
+    per should so such than that the their them then there these they this those through to under up us via was we
+    were what when where which while who whom why will with within without would you your yours
+    ability able activities apply applicant applicants benefits best better candidate candidates closely company
+    end environment equal excellent experience experienced familiarity familiar flexible good great help ideal ideally
+    including join key knowledge looking love make new nice offer opportunity opportunities plus position preferred
+    proven related requirement requirements required responsibilities responsible role salary skills strong successful
+    support team teams understanding using well work working world year years
+`.trim().split(/\s+/));
+
+// Tokens keep the characters that matter in skill names: C++, C#, Node.js, CI/CD
+const TOKEN_PATTERN = /[a-z0-9][a-z0-9+#./-]*[a-z0-9+#]|[a-z0-9]/gi;
+
+function tokenize(text) {
+    return (String(text || '').match(TOKEN_PATTERN) || []).map(token => token.replace(/[./-]+$/, ''));
+}
+
+function isKeywordToken(token) {
+    return token.length > 1 && !STOPWORDS.has(token) && !/^\d+[+%]?$/.test(token);
+}
+
+function escapeRegExp(value) {
+    return value.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+}
+
+// Whole-word, case-insensitive; skill names end in symbols often enough that \b won't do
+function mentions(text, term) {
+    return new RegExp(`(^|[^a-z0-9+#])${escapeRegExp(term.toLowerCase())}(?=$|[^a-z0-9+#])`).test(String(text || '').toLowerCase());
+}
+
+// Returns validation error message or null
+function validateJobDescription(jobDescription) {
+    if (typeof jobDescription !== 'string' || jobDescription.trim().length < MIN_JOB_DESCRIPTION_LENGTH) {
+        return `Please paste the job description (at least ${MIN_JOB_DESCRIPTION_LENGTH} characters).`;
+    }
+    if (jobDescription.length > MAX_JOB_DESCRIPTION_LENGTH) {
+        return `Job descriptions can be at most ${MAX_JOB_DESCRIPTION_LENGTH} characters.`;
+    }
+    return null;
+}
+
+// The job's keywords, most important first: the portfolio's own skills that the job mentions,
+// then the job's most frequent terms and two-word phrases
+function extractKeywords(jobDescription, skills) {
+    const mentionedSkills = skills.filter(skill => mentions(jobDescription, skill));
+
+    const counts = new Map();
+    // Terms written like names (Kubernetes mid-sentence, AWS, GraphQL) or with symbols (C++, Node.js) count even when mentioned once
+    const named = new Set();
+    // Keywords are reported as the job ad first wrote them
+    const spelling = new Map();
+    const count = (term, written) => {
+        counts.set(term, (counts.get(term) || 0) + 1);
+        if (!spelling.has(term)) spelling.set(term, written);
+    };
+    for (const sentence of jobDescription.split(/[.!?;:\n•●▪·]+(?:\s|$)/)) {
+        const tokens = tokenize(sentence);
+        const words = tokens.map(token => token.toLowerCase());
+        words.forEach((word, index) => {
+            if (!isKeywordToken(word)) return;
+            count(word, tokens[index]);
+            if ((index > 0 && /^[A-Z]/.test(tokens[index])) || /^.+[A-Z]/.test(tokens[index]) || /[+#./]/.test(word)) named.add(word);
+            const next = words[index + 1];
+            if (next && isKeywordToken(next)) count(`${word} ${next}`, `${tokens[index]} ${tokens[index + 1]}`);
+        });
+    }
+    const isPhrase = term => term.includes(' ');
+    // A phrase that appears as often as its words replaces them ("machine learning" rather than "machine", "learning")
+    const candidates = [...counts.entries()].filter(([term, frequency]) => frequency >= 2 || named.has(term));
+    const terms = candidates
+        .filter(([term, frequency]) => isPhrase(term) || !candidates.some(([phrase, phraseFrequency]) =>
+            isPhrase(phrase) && phrase.split(' ').includes(term) && phraseFrequency >= frequency))
+        .sort((a, b) => b[1] - a[1] || isPhrase(b[0]) - isPhrase(a[0]))
+        .map(([term]) => spelling.get(term));
+
+    const keywords = [];
+    for (const term of [...mentionedSkills, ...terms]) {
+        if (!keywords.some(keyword => keyword.toLowerCase() === term.toLowerCase())) keywords.push(term);
+    }
+    return keywords.slice(0, Math.max(MAX_KEYWORDS, mentionedSkills.length));
+}
+
+function portfolioText(data) {
+    return [
+        data.summary,
+        ...data.skills,
+        ...data.experience.flatMap(entry => [entry.role, entry.company, ...entry.description]),
+        ...data.projects.flatMap(project => [project.title, project.description])
+    ].filter(Boolean).join('\n');
+}
+
+function keywordHits(text, keywords) {
+    return keywords.filter(keyword => mentions(text, keyword)).length;
+}
+
+// Stable sort: equally relevant items keep their original order
+function sortByRelevance(items, score) {
+    return items
+        .map((item, index) => ({ item, index, score: score(item) }))
+        .sort((a, b) => b.score - a.score || a.index - b.index)
+        .map(({ item }) => item);
+}
+
+// Keyword reordering only; returns { data, highlightedSkills, match: { score, covered, missing } }
+function tailorPortfolioData(data, jobDescription) {
+    const keywords = extractKeywords(jobDescription, data.skills);
+    const highlightedSkills = data.skills.filter(skill => keywords.some(keyword => keyword.toLowerCase() === skill.toLowerCase()));
+    const keywordRank = skill => keywords.findIndex(keyword => keyword.toLowerCase() === skill.toLowerCase());
+    const skills = [
+        ...highlightedSkills.sort((a, b) => keywordRank(a) - keywordRank(b)),
+        ...data.skills.filter(skill => !highlightedSkills.includes(skill))
+    ];
+    const experience = data.experience.map(entry => ({
+        ...entry,
+        description: sortByRelevance(entry.description, bullet => keywordHits(bullet, keywords))
+    }));
+
+    const text = portfolioText(data);
+    const covered = keywords.filter(keyword => mentions(text, keyword));
+    const missing = keywords.filter(keyword => !covered.includes(keyword));
+    const score = keywords.length > 0 ? Math.round((covered.length / keywords.length) * 100) : 0;
+
+    return {
+        data: { ...data, skills, skillGroups: groupSkills(skills), experience },
+        highlightedSkills,
+        match: { score, covered, missing }
+    };
+}
+
+const RETARGET_SUMMARY_PROMPT = `
+    You are an expert resume writer. Rewrite the candidate's professional summary so it speaks to the job below.
+    Lead with the experience and skills the job asks for. Never invent employers, numbers, technologies or
+    achievements that the candidate's portfolio does not mention. Keep it to one paragraph of at most 80 words.
+    Respond with ONLY a JSON object of the form {"summary": "..."}, without any markdown formatting.
+`;
+
+async function retargetSummary(llm, data, jobDescription, covered) {
+    const experience = data.experience.map(entry => `${entry.role || ''} at ${entry.company || ''}: ${entry.description.join(' ')}`).join('\n');
+    const text = await llm.complete(`${RETARGET_SUMMARY_PROMPT}
+        --- CURRENT SUMMARY ---
+        ${data.summary || '(none)'}
+        --- SKILLS ---
+        ${data.skills.join(', ')}
+        --- EXPERIENCE ---
+        ${experience}
+        --- KEYWORDS THE CANDIDATE COVERS ---
+        ${covered.join(', ')}
+        --- JOB DESCRIPTION ---
+        ${jobDescription}
+    `, { task: 'tailor-summary', json: true });
+
+    const response = JSON.parse(extractJson(text));
+    if (typeof response.summary !== 'string' || !response.summary.trim()) {
+        throw new Error("AI model returned no summary.");
+    }
+    return response.summary.trim();
+}
+
+// Returns { data, highlightedSkills, match, summaryRetargeted }. If the AI can't rewrite the summary the rest
+// of the tailoring still applies and the original summary is kept.
+async function tailorPortfolio(llm, data, jobDescription) {
+    const tailored = tailorPortfolioData(data, jobDescription);
+    let summaryRetargeted = false;
+    try {
+        tailored.data.summary = await retargetSummary(llm, data, jobDescription, tailored.match.covered);
+        summaryRetargeted = true;
+    } catch (error) {
+        console.warn(`Keeping the original summary; the AI could not retarget it: ${error.message}`);
+    }
+    return { ...tailored, summaryRetargeted };
+}
+
+module.exports = { validateJobDescription, extractKeywords, tailorPortfolioData, tailorPortfolio };
@@ -0,0 +1,173 @@
+// The theme registry: every renderer (the Express page, the Netlify page and, through GET /api/themes and
+// /api/portfolio/:id/themes, the editor preview) reads themes from here. A theme is a set of design tokens:
+//   { key, name, colors: { background, text, muted, primary, accent, card }, font, radius, accentStyle }
+// Colors are "#rrggbb"; `primary` fills skill chips and social links, `accent` colors headings, links and borders,
+// and `accentStyle` is how primary-colored elements are drawn. Built-in themes are keyed by the name professions.js
+// maps each profession to and have a description for the editor's list; custom themes are saved to the portfolio
+// store under a UUID key, belong to the portfolio they were saved for (`portfolioId`) and never change.
+const { v4: uuidv4 } = require('uuid');
+
+const COLOR_TOKENS = ['background', 'text', 'muted', 'primary', 'accent', 'card'];
+const FONTS = { sans: 'font-sans', serif: 'font-serif', mono: 'font-mono' };
+const RADII = { none: 'rounded-none', small: 'rounded', medium: 'rounded-md', large: 'rounded-lg', extra: 'rounded-2xl' };
+const ACCENT_STYLES = ['solid', 'soft', 'outline'];
+
+const COLOR_PATTERN = /^#[0-9a-f]{6}$/i;
+const KEY_PATTERN = /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/i;
+const MAX_NAME_LENGTH = 40;
+const MAX_CUSTOM_THEMES = 20;
+
+function builtIn(key, name, description, colors, options = {}) {
+    const { font = 'sans', radius = 'large', accentStyle = 'solid' } = options;
+    return { key, name, description, colors, font, radius, accentStyle };
+}
+
+const themes = {
+    'Software Developer': builtIn('Software Developer', 'Developer Dark', 'Perfect for software developers and engineers',
+        { background: '#111827', text: '#ffffff', muted: '#d1d5db', primary: '#3b82f6', accent: '#60a5fa', card: '#1f2937' },
+        { font: 'mono' }),
+    'Graphic Designer': builtIn('Graphic Designer', 'Designer Light', 'Ideal for designers and creative professionals',
+        { background: '#ffffff', text: '#1f2937', muted: '#374151', primary: '#ec4899', accent: '#ec4899', card: '#f9fafb' },
+        { accentStyle: 'soft' }),
+    'Data Scientist': builtIn('Data Scientist', 'Data Green', 'Great for data scientists and analysts',
+        { background: '#1f2937', text: '#f3f4f6', muted: '#d1d5db', primary: '#22c55e', accent: '#4ade80', card: '#374151' }),
+    'Product Manager': builtIn('Product Manager', 'Product Slate', 'Suited to product managers and owners',
+        { background: '#0f172a', text: '#f1f5f9', muted: '#cbd5e1', primary: '#f59e0b', accent: '#fbbf24', card: '#1e293b' }),
+    'Marketing Specialist': builtIn('Marketing Specialist', 'Marketing Coral', 'Bold and warm for marketing and sales',
+        { background: '#fff7ed', text: '#111827', muted: '#374151', primary: '#f97316', accent: '#ea580c', card: '#ffffff' }),
+    'Mechanical Engineer': builtIn('Mechanical Engineer', 'Engineering Steel', 'Precise and technical for engineers',
+        { background: '#27272a', text: '#f4f4f5', muted: '#d4d4d8', primary: '#0284c7', accent: '#38bdf8', card: '#3f3f46' },
+        { radius: 'medium' }),
+    'Healthcare Professional': builtIn('Healthcare Professional', 'Clinical Teal', 'Calm and trustworthy for healthcare',
+        { background: '#f0fdfa', text: '#111827', muted: '#374151', primary: '#0d9488', accent: '#0d9488', card: '#ffffff' }),
+    'Educator': builtIn('Educator', 'Classroom Warm', 'Friendly and readable for educators',
+        { background: '#fafaf9', text: '#1c1917', muted: '#57534e', primary: '#059669', accent: '#047857', card: '#ffffff' },
+        { font: 'serif' }),
+    'Finance Professional': builtIn('Finance Professional', 'Finance Navy', 'Conservative and sharp for finance',
+        { background: '#f8fafc', text: '#0f172a', muted: '#475569', primary: '#1e3a8a', accent: '#1e3a8a', card: '#ffffff' },
+        { radius: 'small' }),
+    'Default': builtIn('Default', 'Professional Blue', 'Clean and professional for any industry',
+        { background: '#f3f4f6', text: '#111827', muted: '#374151', primary: '#4f46e5', accent: '#6366f1', card: '#ffffff' },
+        { accentStyle: 'soft' })
+};
+
+function isPlainObject(value) {
+    return value !== null && typeof value === 'object' && !Array.isArray(value);
+}
+
+// For client input: { theme, errors } with errors as { field, message }; theme is only meaningful without errors
+function validateTheme(input) {
+    const errors = [];
+    const source = isPlainObject(input) ? input : {};
+    const name = typeof source.name === 'string' ? source.name.trim() : '';
+    if (!name || name.length > MAX_NAME_LENGTH) {
+        errors.push({ field: 'name', message: `Must be between 1 and ${MAX_NAME_LENGTH} characters.` });
+    }
+    const colors = {};
+    for (const token of COLOR_TOKENS) {
+        const value = isPlainObject(source.colors) ? source.colors[token] : undefined;
+        if (typeof value !== 'string' || !COLOR_PATTERN.test(value)) {
+            errors.push({ field: `colors.${token}`, message: 'Must be a color in the form #rrggbb.' });
+            continue;
+        }
+        colors[token] = value.toLowerCase();
+    }
+    const choices = { font: Object.keys(FONTS), radius: Object.keys(RADII), accentStyle: ACCENT_STYLES };
+    for (const [field, allowed] of Object.entries(choices)) {
+        if (!allowed.includes(source[field])) {
+            errors.push({ field, message: `Must be one of: ${allowed.join(', ')}.` });
+        }
+    }
+    const { font, radius, accentStyle } = source;
+    return { theme: { name, colors, font, radius, accentStyle }, errors };
+}
+
+function isCustomThemeKey(key) {
+    return typeof key === 'string' && KEY_PATTERN.test(key);
+}
+
+// The registry theme for a theme reference: a key, or a theme object (stored with a portfolio, or sent by the
+// editor) carrying one. Custom themes are only found for the portfolio that owns them, or as the `currentTheme`
+// a portfolio already uses (such as one copied from the portfolio it was tailored from). Resolves to null when
+// there's no such theme.
+async function findTheme(store, reference, portfolioId = null, currentTheme = null) {
+    const key = isPlainObject(reference) ? reference.key : reference;
+    if (typeof key !== 'string') return null;
+    if (Object.prototype.hasOwnProperty.call(themes, key)) return themes[key];
+    if (!isCustomThemeKey(key)) return null;
+    if (isPlainObject(currentTheme) && currentTheme.key === key) return currentTheme;
+    return portfolioId ? store.getTheme(portfolioId, key) : null;
+}
+
+// Built-in themes followed by the portfolio's custom ones, oldest first, and the custom theme it uses if that's
+// another portfolio's
+async function listThemes(store, portfolioId = null, currentTheme = null) {
+    const custom = portfolioId ? await store.listThemes(portfolioId) : [];
+    if (isPlainObject(currentTheme) && isCustomThemeKey(currentTheme.key) && !custom.some(theme => theme.key === currentTheme.key)) {
+        custom.push(currentTheme);
+    }
+    return [...Object.values(themes), ...custom];
+}
+
+// Saves a validated theme as one of the portfolio's custom themes. Resolves to null if the portfolio was deleted
+// or already has MAX_CUSTOM_THEMES; the store checks and saves under the portfolio's lock.
+async function createCustomTheme(store, portfolioId, theme) {
+    const key = uuidv4();
+    return store.createTheme(portfolioId, { key, ...theme, portfolioId, custom: true, createdAt: new Date().toISOString() }, MAX_CUSTOM_THEMES);
+}
+
+// Themes stored before the registry were copies of the old class-based theme objects, identified by display
+// name (or, from the Netlify share function, by registry key); unknown ones become the default theme
+function migrateTheme(theme) {
+    if (isPlainObject(theme) && isPlainObject(theme.colors)) return theme;
+    const name = isPlainObject(theme) ? theme.name : null;
+    return Object.values(themes).find(candidate => candidate.name === name) || themes[name] || themes.Default;
+}
+
+// The Tailwind classes the renderers use for a theme. Colors are arbitrary values (bg-[#111827]), which the
+// Tailwind CDN script generates at runtime. Built-in themes are read from the registry rather than the copy
+// stored with the portfolio, so changes to them reach every page.
+function themeStyles(theme) {
+    const key = isPlainObject(theme) ? theme.key : null;
+    const tokens = Object.prototype.hasOwnProperty.call(themes, key) ? themes[key]
+        : validateTheme(theme).errors.length === 0 ? theme
+        : themes.Default;
+    const { background, text, muted, primary, accent, card } = tokens.colors;
+    const radius = RADII[tokens.radius];
+    const filled = {
+        solid: `bg-[${primary}] text-white`,
+        soft: `bg-[${primary}]/15 text-[${primary}]`,
+        outline: `border border-[${primary}] text-[${primary}]`
+    }[tokens.accentStyle];
+    return {
+        body: `bg-[${background}] text-[${text}] ${FONTS[tokens.font]}`,
+        text: `text-[${muted}]`,
+        accent: `text-[${accent}]`,
+        border: `border-[${accent}]`,
+        card: `bg-[${card}] ${radius}`,
+        chip: `${filled} ${tokens.radius === 'none' ? 'rounded-none' : 'rounded-full'}`,
+        social: `${filled} hover:opacity-80`
+    };
+}
+
+// A theme as the API returns it: its tokens plus the classes derived from them, for the editor preview
+function withStyles(theme) {
+    return { ...theme, styles: themeStyles(theme) };
+}
+
+module.exports = {
+    themes,
+    COLOR_TOKENS,
+    FONTS,
+    RADII,
+    ACCENT_STYLES,
+    MAX_CUSTOM_THEMES,
+    validateTheme,
+    isCustomThemeKey,
+    findTheme,
+    listThemes,
+    createCustomTheme,
+    migrateTheme,
+    themeStyles,
+    withStyles
+};
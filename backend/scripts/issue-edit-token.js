@@ -0,0 +1,45 @@
+// Issues an edit token for a portfolio created before edit tokens existed, so its owner can edit it again.
+// There's no way to tell the owner apart from anyone else who knows the portfolio's ID, so this is an operator
+// step: check who is asking, run this, and hand them the token it prints. It only applies once per portfolio;
+// ones that already have a token (use the rotate endpoint) or whose owner revoked it are left alone.
+//
+//   node scripts/issue-edit-token.js <portfolio-id>
+require('dotenv').config();
+const { createStore } = require('../lib/storage');
+const { generateEditToken, hashEditToken } = require('../lib/edit-tokens');
+
+async function main() {
+    const id = process.argv[2];
+    if (!id) {
+        console.error('Usage: node scripts/issue-edit-token.js <portfolio-id>');
+        process.exitCode = 1;
+        return;
+    }
+    const store = createStore();
+    await store.load();
+
+    const editToken = generateEditToken();
+    let refusal = null;
+    const updated = await store.update(id, current => {
+        if (current.editTokenHash) refusal = 'already has an edit token; its owner can rotate it instead';
+        else if (current.editTokenRevokedAt) refusal = 'was made read-only by its owner';
+        if (refusal) return current;
+        return { ...current, editTokenHash: hashEditToken(editToken), updatedAt: new Date().toISOString() };
+    });
+
+    if (!updated) {
+        console.error(`Portfolio ${id} not found`);
+        process.exitCode = 1;
+    } else if (refusal) {
+        console.error(`Portfolio ${id} ${refusal}`);
+        process.exitCode = 1;
+    } else {
+        console.log(`Edit token for portfolio ${id} (shown once, give it to the owner):`);
+        console.log(editToken);
+    }
+}
+
+main().catch(error => {
+    console.error('Issuing the edit token failed:', error);
+    process.exit(1);
+});
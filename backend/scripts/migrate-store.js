@@ -0,0 +1,43 @@
+// Rewrites every record in the configured store (PORTFOLIO_STORE and friends, as for the server) at the current
+// schemaVersion. Reads migrate on the fly anyway; this makes the stored data match so nothing depends on that.
+//
+//   node scripts/migrate-store.js [--dry-run]
+//
+// For the Supabase store, first run lib/storage/supabase-schema.sql so an older table has the columns the store writes.
+require('dotenv').config();
+const { createStore } = require('../lib/storage');
+const { CURRENT_SCHEMA_VERSION, detectSchemaVersion, migrateRecord } = require('../lib/migrations');
+
+async function main() {
+    const dryRun = process.argv.includes('--dry-run');
+    const store = createStore({ migrate: false });
+    await store.load();
+
+    const counts = {};
+    let failed = 0;
+    for (const id of await store.list()) {
+        try {
+            const version = detectSchemaVersion(await store.get(id));
+            counts[version] = (counts[version] || 0) + 1;
+            if (version === CURRENT_SCHEMA_VERSION || dryRun) continue;
+            await store.update(id, current => migrateRecord(current));
+        } catch (error) {
+            failed++;
+            console.error(`Could not migrate portfolio ${id}:`, error.message);
+        }
+    }
+
+    for (const [version, count] of Object.entries(counts)) {
+        const action = Number(version) === CURRENT_SCHEMA_VERSION ? 'already current' : dryRun ? 'would be migrated' : 'migrated';
+        console.log(`schemaVersion ${version}: ${count} record(s) ${action}`);
+    }
+    if (failed > 0) {
+        console.error(`${failed} record(s) could not be migrated`);
+        process.exitCode = 1;
+    }
+}
+
+main().catch(error => {
+    console.error('Migration failed:', error);
+    process.exit(1);
+});
@@ -2,14 +2,30 @@ require('dotenv').config();
 const express = require('express');
 const cors = require('cors');
 const multer = require('multer');
-const pdfParse = require('pdf-parse');
-const { GoogleGenerativeAI } = require("@google/generative-ai");
 const path = require('path');
 const { v4: uuidv4 } = require('uuid');
 const os = require('os');
+const { createStore } = require('./lib/storage');
+const { createLockQueue } = require('./lib/storage/lock');
+const { createJobQueue } = require('./lib/jobs');
+const { createParseCache } = require('./lib/parse-cache');
+const { generateEditToken, hashEditToken, checkEditToken } = require('./lib/edit-tokens');
+const { getAvailability, parseExpiresAt, startExpirySweeper } = require('./lib/lifecycle');
+const { normalizeSlug, validateSlug, suggestSlug, applySlugChange } = require('./lib/slugs');
+const { createRevision, appendRevision, findRevision, latestRevisionNumber, summarizeRevision, diffPortfolioData } = require('./lib/revisions');
+const { createLlm } = require('./lib/llm');
+const { PARSERS, parseResume } = require('./lib/resume-ai');
+const { validatePortfolioData, visibleCustomSections } = require('./lib/portfolio-schema');
+const { extractResumeText } = require('./lib/resume-text');
+const { validateEnhanceRequest, enhanceSection } = require('./lib/enhance');
+const { validateJobDescription, tailorPortfolio } = require('./lib/tailor');
+const { importBase, buildReimportChanges, applyReimportChanges } = require('./lib/reimport');
+const { sortByDate, totalYearsOfExperience, formatYearsOfExperience } = require('./lib/dates');
+const { html, safeUrl, isImageDataUrl, isImageSource } = require('./lib/html');
+const { themes, MAX_CUSTOM_THEMES, validateTheme, findTheme, listThemes, createCustomTheme, themeStyles, withStyles } = require('./lib/themes');
 const app = express();
 const port = process.env.PORT || 3000;
-const genAI = new GoogleGenerativeAI(process.env.GOOGLE_API_KEY);
+const llm = createLlm();
 const upload = multer({ storage: multer.memoryStorage() });
 // Get local IP address
 function getLocalIpAddress() {
@@ -24,8 +40,11 @@ function getLocalIpAddress() {
   return '127.0.0.1'; // fallback
 }
 const localIp = getLocalIpAddress();
-// In-memory storage for portfolios
-const portfolios = {};
+// Portfolio storage is chosen by PORTFOLIO_STORE; the default keeps one JSON file per portfolio under backend/portfolios
+const store = createStore();
+const jobs = createJobQueue();
+// Repeat uploads of the same resume reuse the model's earlier answers
+const parseCache = createParseCache(store);
 app.use(cors());
 app.use(express.json());
 app.use(express.static('public'));
@@ -41,45 +60,6 @@ app.get('/api/server-info', (req, res) => {
 app.get('/health', (req, res) => {
   res.status(200).json({ status: 'OK', message: 'PortfolioForge API is running' });
 });
-// Theme definitions
-const themes = {
-    'Software Developer': {
-        name: 'Developer Dark',
-        background: 'bg-gray-900 text-white',
-        primaryColor: 'bg-blue-500',
-        secondaryColor: 'text-blue-400',
-        card: 'bg-gray-800',
-        font: 'font-mono',
-        buttonStyle: 'bg-blue-600 hover:bg-blue-700'
-    },
-    'Graphic Designer': {
-        name: 'Designer Light',
-        background: 'bg-white text-gray-800',
-        primaryColor: 'bg-pink-500',
-        secondaryColor: 'text-pink-500',
-        card: 'bg-gray-50',
-        font: 'font-sans',
-        buttonStyle: 'bg-pink-600 hover:bg-pink-700'
-    },
-    'Data Scientist': {
-        name: 'Data Green',
-        background: 'bg-gray-800 text-gray-100',
-        primaryColor: 'bg-green-500',
-        secondaryColor: 'text-green-400',
-        card: 'bg-gray-700',
-        font: 'font-sans',
-        buttonStyle: 'bg-green-600 hover:bg-green-700'
-    },
-    'Default': {
-        name: 'Professional Blue',
-        background: 'bg-gray-100 text-gray-900',
-        primaryColor: 'bg-indigo-600',
-        secondaryColor: 'text-indigo-500',
-        card: 'bg-white',
-        font: 'font-sans',
-        buttonStyle: 'bg-indigo-600 hover:bg-indigo-700'
-    }
-};
 // Helper function to convert username to URL
 function convertUsernameToUrl(platform, username) {
     if (!username) return '';
@@ -97,165 +77,324 @@ function convertUsernameToUrl(platform, username) {
     
     return username;
 }
-async function parseResumeWithAI(resumeText) {
-    const model = genAI.getGenerativeModel({ model: "gemini-1.5-flash" });
-    
-    const prompt = `
-        You are an expert resume parser. Analyze the following resume text and extract the information into a structured JSON object.
-        The JSON object should have the following keys:
-        - "personalInfo": An object with "name", "email", "phone", "website", "linkedin", and "github".
-          For "linkedin" and "github", extract ONLY the username (without the full URL). 
-          For example, if the resume has "https://linkedin.com/in/johndoe", extract "johndoe".
-          If the resume only has the username (e.g., "johndoe"), use that as is.
-        - "summary": A string containing the professional summary or objective.
-        - "skills": An array of strings listing all technical and soft skills.
-        - "experience": An array of objects, where each object has "company", "role", "dates", and "description" (as an array of strings).
-        - "projects": An array of objects, where each object has "title", "description", and "link".
-        - "education": An array of objects, where each object has "institution", "degree", and "dates".
-        
-        Important: For LinkedIn and GitHub, extract only the username, not the full URL.
-        If a piece of information is not found, return null for its value.
-        Ensure the output is ONLY the raw JSON object, without any markdown formatting like \`\`\`json.
-    `;
-    
+// Checks client-supplied portfolio data against the schema. Responds 422 with field-level errors and returns null if it doesn't fit.
+function validatedPortfolioData(res, input) {
+    const { data, errors } = validatePortfolioData(input);
+    if (errors.length > 0) {
+        res.status(422).json({ error: 'Some portfolio fields are invalid.', fields: errors });
+        return null;
+    }
+    return data;
+}
+// The registry theme a request refers to by key (see lib/themes.js); custom themes only resolve for the portfolio
+// that owns or already uses them. Undefined if it names none; responds 422 and returns null if it names one that
+// doesn't exist.
+async function resolvedTheme(res, reference, portfolioId = null, currentTheme = null) {
+    if (reference === undefined || reference === null || reference === '') return undefined;
+    const theme = await findTheme(store, reference, portfolioId, currentTheme);
+    if (!theme) {
+        res.status(422).json({ error: 'Some portfolio fields are invalid.', fields: [{ field: 'theme', message: 'Unknown theme.' }] });
+        return null;
+    }
+    return theme;
+}
+// Middleware: only the holder of the portfolio's edit token may modify it
+async function requireEditToken(req, res, next) {
     try {
-        const result = await model.generateContent(prompt + "\n\n--- RESUME TEXT ---\n\n" + resumeText);
-        const response = await result.response;
-        let jsonText = response.text().replace(/```json/g, '').replace(/```/g, '').trim();
-        
-        // Sometimes the AI might return additional text, try to extract only the JSON
-        if (!jsonText.startsWith('{')) {
-            const jsonMatch = jsonText.match(/\{[\s\S]*\}/);
-            if (jsonMatch) {
-                jsonText = jsonMatch[0];
-            }
+        const denied = checkEditToken(await store.get(req.params.id), req.headers);
+        if (denied) {
+            return res.status(denied.status).json({ error: denied.error });
         }
-        
-        return JSON.parse(jsonText);
-    } catch (e) {
-        console.error("Failed to parse JSON from AI response:", e);
-        console.log("AI Response:", response.text());
-        throw new Error("AI model returned an invalid JSON format.");
+        next();
+    } catch (error) {
+        next(error);
     }
 }
-async function classifyProfessionAndSelectTheme(parsedData) {
-    const model = genAI.getGenerativeModel({ model: "gemini-1.5-flash" });
-    const skillsArray = Array.isArray(parsedData.skills) ? parsedData.skills : [];
-    const professionalSummary = `Summary: ${parsedData.summary || ''}. Skills: ${skillsArray.join(', ')}.`;
-    const prompt = `
-        Based on the following professional summary and skills, classify the profession into one of these categories:
-        - Software Developer
-        - Graphic Designer
-        - Data Scientist
-        If the profession doesn't clearly fit, respond with "Default".
-        Respond with ONLY the category name.
-    `;
-    try {
-        const result = await model.generateContent(prompt + "\n\n" + professionalSummary);
-        const response = await result.response;
-        const profession = response.text().trim();
-        
-        console.log(`AI Classified Profession as: ${profession}`);
-        return themes[profession] || themes['Default'];
-    } catch (error) {
-        console.error("Error classifying profession:", error);
-        return themes['Default'];
+// Problems with the upload the user can fix; `status` is the HTTP status to answer with
+function generationError(status, message) {
+    const error = new Error(message);
+    error.status = status;
+    return error;
+}
+// Maps a failed generation to { status, message } for the client
+function describeGenerationFailure(error) {
+    if (error.status) {
+        return { status: error.status, message: error.message };
+    }
+    if (error.code === 'UNSUPPORTED_RESUME_FORMAT') {
+        return { status: 415, message: error.message };
+    }
+    // Check if it's a PDF parsing error
+    if (error.message && error.message.includes('bad XRef entry')) {
+        return { status: 400, message: 'The PDF file appears to be corrupted or invalid. Please try uploading a different PDF file.' };
     }
+    return { status: 500, message: 'An unexpected error occurred while generating the portfolio. Please try again.' };
 }
-// Generate portfolio from resume
-app.post('/api/generate-from-resume', upload.fields([{ name: 'resume', maxCount: 1 }, { name: 'photo', maxCount: 1 }]), async (req, res) => {
+// An uploaded photo as the data URL it's stored as, or null unless it's an image type isImageDataUrl allows
+function photoDataUrl(file) {
+    const url = `data:${file.mimetype};base64,${file.buffer.toString('base64')}`;
+    return isImageDataUrl(url) ? url : null;
+}
+const UNSUPPORTED_PHOTO_MESSAGE = 'The photo must be a PNG, JPEG, GIF or WebP image.';
+// Validates a generation request up front, so queued jobs only fail for reasons found while processing
+function readGenerationRequest(req) {
     if (!req.files || !req.files.resume) {
-        return res.status(400).json({ error: 'Resume file (PDF) is required.' });
+        throw generationError(400, 'A resume file (PDF, DOCX, TXT, MD, RTF, PNG or JPEG) is required.');
     }
+    let expiresAt;
     try {
-        const resumeBuffer = req.files.resume[0].buffer;
-        const resumeData = await pdfParse(resumeBuffer);
-        const resumeText = resumeData.text;
-        
-        if (!resumeText || resumeText.trim().length === 0) {
-            return res.status(400).json({ error: 'Could not extract text from the PDF. The file may be corrupted or scanned as an image.' });
-        }
-        
-        const parsedData = await parseResumeWithAI(resumeText);
-        const selectedTheme = await classifyProfessionAndSelectTheme(parsedData);
-        
-        // Convert LinkedIn and GitHub usernames to URLs
-        if (parsedData.personalInfo.linkedin) {
-            parsedData.personalInfo.linkedin = convertUsernameToUrl('linkedin', parsedData.personalInfo.linkedin);
-        }
-        if (parsedData.personalInfo.github) {
-            parsedData.personalInfo.github = convertUsernameToUrl('github', parsedData.personalInfo.github);
-        }
-        
-        let photoUrl = `https://placehold.co/150x150/222/fff?text=${parsedData.personalInfo.name ? parsedData.personalInfo.name.charAt(0) : 'P'}`;
-        if (req.files.photo) {
-            const photoBuffer = req.files.photo[0].buffer;
-            photoUrl = `data:${req.files.photo[0].mimetype};base64,${photoBuffer.toString('base64')}`;
-        }
-        
-        // Generate unique ID and store portfolio in memory
-        const portfolioId = uuidv4();
-        portfolios[portfolioId] = {
-            data: parsedData,
-            theme: selectedTheme,
-            profilePictureUrl: photoUrl,
-            createdAt: new Date()
-        };
-        
-        console.log(`Portfolio created with ID: ${portfolioId}`);
-        
-        res.json({
-            portfolioId,
-            portfolioData: parsedData,
-            theme: selectedTheme,
-            profilePictureUrl: photoUrl
-        });
+        expiresAt = parseExpiresAt(req.body.expiresAt);
     } catch (error) {
-        console.error("Error processing request:", error);
-        
-        // Check if it's a PDF parsing error
-        if (error.message && error.message.includes('bad XRef entry')) {
-            return res.status(400).json({ 
-                error: 'The PDF file appears to be corrupted or invalid. Please try uploading a different PDF file.' 
-            });
-        }
-        
-        res.status(500).json({ error: 'An unexpected error occurred while generating the portfolio. Please try again.' });
+        throw generationError(400, error.message);
     }
-});
-// Update existing portfolio
-app.post('/api/update-portfolio/:id', (req, res) => {
-    const { id } = req.params;
-    const { portfolioData, theme, profilePictureUrl } = req.body;
-    
-    if (!portfolios[id]) {
-        return res.status(404).json({ error: 'Portfolio not found' });
+    // "heuristic" parses the resume on the server only, without sending it to the AI provider
+    const parser = req.body.parser || 'ai';
+    if (!PARSERS.includes(parser)) {
+        throw generationError(400, `parser must be one of: ${PARSERS.join(', ')}.`);
+    }
+    // force=true parses the resume again instead of reusing a cached result
+    const force = req.body.force === 'true';
+    const photoUrl = req.files.photo ? photoDataUrl(req.files.photo[0]) : null;
+    if (req.files.photo && !photoUrl) {
+        throw generationError(415, UNSUPPORTED_PHOTO_MESSAGE);
+    }
+    return {
+        resumeFile: req.files.resume[0],
+        photoUrl,
+        expiresAt,
+        parser,
+        force
+    };
+}
+// The uploaded resume's text; retried jobs reuse the text extracted on the first attempt rather than running OCR again
+async function extractUploadedText(request) {
+    if (!request.extracted) {
+        request.extracted = await extractResumeText(request.resumeFile.buffer, { filename: request.resumeFile.originalname });
+    }
+    const { format, text, ocr } = request.extracted;
+    if (!text || text.trim().length === 0) {
+        throw generationError(400, `Could not extract any text from the ${format.toUpperCase()} file${ocr ? ', even with OCR' : ''}. The file may be empty, corrupted or too low-resolution to read.`);
     }
+    return request.extracted;
+}
+// Extracts, parses, classifies and saves an uploaded resume. Shared by the plain, streaming and job endpoints;
+// `onProgress(stage, data)` is called after each stage: uploaded, extracted, parsed, classified, saved.
+// With `fallback: false` AI failures are thrown (marked retryable) instead of falling back to the heuristic parser.
+async function generatePortfolio(request, { onProgress = () => {}, fallback = true } = {}) {
+    const { resumeFile, photoUrl: uploadedPhotoUrl, expiresAt, parser, force } = request;
+    onProgress('uploaded', { filename: resumeFile.originalname, size: resumeFile.size });
+    
+    const { format, text: resumeText, ocr } = await extractUploadedText(request);
+    onProgress('extracted', { format, characters: resumeText.length, ocr });
+    
+    const parsed = await parseResume(llm, resumeText, {
+        parser,
+        fallback,
+        cache: parseCache,
+        force,
+        onProgress: (stage, data) => onProgress(stage, stage === 'parsed'
+            ? { parser: data.parser, parserFallback: data.fallback, cached: data.cached, missingFields: data.missingFields, portfolioData: data.parsedData }
+            : data)
+    });
+    const parsedData = parsed.parsedData;
+    const selectedTheme = parsed.theme;
     
     // Convert LinkedIn and GitHub usernames to URLs
-    if (portfolioData.personalInfo.linkedin) {
-        portfolioData.personalInfo.linkedin = convertUsernameToUrl('linkedin', portfolioData.personalInfo.linkedin);
+    if (parsedData.personalInfo.linkedin) {
+        parsedData.personalInfo.linkedin = convertUsernameToUrl('linkedin', parsedData.personalInfo.linkedin);
     }
-    if (portfolioData.personalInfo.github) {
-        portfolioData.personalInfo.github = convertUsernameToUrl('github', portfolioData.personalInfo.github);
+    if (parsedData.personalInfo.github) {
+        parsedData.personalInfo.github = convertUsernameToUrl('github', parsedData.personalInfo.github);
     }
     
-    portfolios[id] = {
-        ...portfolios[id],
-        data: portfolioData,
-        theme,
-        profilePictureUrl,
-        updatedAt: new Date()
+    const photoUrl = uploadedPhotoUrl || `https://placehold.co/150x150/222/fff?text=${parsedData.personalInfo.name ? parsedData.personalInfo.name.charAt(0) : 'P'}`;
+    
+    // Generate unique ID and persist the portfolio
+    const portfolioId = uuidv4();
+    const editToken = generateEditToken();
+    await store.create(portfolioId, {
+        data: parsedData,
+        theme: selectedTheme,
+        profilePictureUrl: photoUrl,
+        editTokenHash: hashEditToken(editToken),
+        revisions: [createRevision(1, parsedData, selectedTheme)],
+        published: true,
+        expiresAt,
+        createdAt: new Date().toISOString()
+    });
+    
+    console.log(`Portfolio created with ID: ${portfolioId} (parsed with ${parsed.parser}${parsed.fallback ? ' after the AI failed' : ''}${parsed.cached ? ', from the cache' : ''})`);
+    onProgress('saved', { portfolioId });
+    
+    return {
+        portfolioId,
+        editToken,
+        expiresAt,
+        parser: parsed.parser,
+        parserFallback: parsed.fallback,
+        cached: parsed.cached,
+        missingFields: parsed.missingFields,
+        classification: parsed.classification,
+        ocr,
+        portfolioData: parsedData,
+        theme: selectedTheme,
+        profilePictureUrl: photoUrl
     };
+}
+const resumeUpload = upload.fields([{ name: 'resume', maxCount: 1 }, { name: 'photo', maxCount: 1 }]);
+// Generate portfolio from resume
+app.post('/api/generate-from-resume', resumeUpload, async (req, res) => {
+    try {
+        res.json(await generatePortfolio(readGenerationRequest(req)));
+    } catch (error) {
+        console.error("Error processing request:", error);
+        const { status, message } = describeGenerationFailure(error);
+        res.status(status).json({ error: message });
+    }
+});
+// Same as above, streamed as server-sent events: a `progress` event per stage with that stage's partial data,
+// then either `done` with the full response or `error` with { stage, status, error }
+app.post('/api/generate-from-resume/stream', resumeUpload, async (req, res) => {
+    res.set({
+        'Content-Type': 'text/event-stream',
+        'Cache-Control': 'no-cache',
+        'Connection': 'keep-alive',
+        'X-Accel-Buffering': 'no'
+    });
+    res.flushHeaders();
+    const send = (event, data) => res.write(`event: ${event}\ndata: ${JSON.stringify(data)}\n\n`);
     
-    console.log(`Portfolio updated with ID: ${id}`);
+    let lastStage = null;
+    try {
+        const result = await generatePortfolio(readGenerationRequest(req), {
+            onProgress: (stage, data) => {
+                lastStage = stage;
+                send('progress', { stage, ...data });
+            }
+        });
+        send('done', result);
+    } catch (error) {
+        console.error("Error processing request:", error);
+        const { status, message } = describeGenerationFailure(error);
+        send('error', { stage: lastStage, status, error: message });
+    }
+    res.end();
+});
+// Model errors are retried with backoff; only the last attempt falls back to the heuristic parser.
+// Other failures are stored on the job the way the plain endpoint would have answered them.
+jobs.register('generate-from-resume', async (request, { lastAttempt, progress }) => {
+    try {
+        return await generatePortfolio(request, { onProgress: stage => progress(stage), fallback: lastAttempt });
+    } catch (error) {
+        if (error.retryable) throw error;
+        console.error("Error processing generation job:", error);
+        const { status, message } = describeGenerationFailure(error);
+        throw generationError(status, message);
+    }
+});
+// Queue a generation and answer right away; poll GET /api/jobs/:id for the status and result.
+// Express-only: the Netlify deploy has no job queue (see lib/jobs/index.js).
+app.post('/api/generate-from-resume/jobs', resumeUpload, async (req, res) => {
+    try {
+        const job = await jobs.submit('generate-from-resume', readGenerationRequest(req));
+        res.status(202).location(`/api/jobs/${job.id}`).json({ jobId: job.id, status: job.status, statusUrl: `/api/jobs/${job.id}` });
+    } catch (error) {
+        if (error.code === 'QUEUE_FULL') {
+            return res.status(503).set('Retry-After', '60').json({ error: error.message });
+        }
+        const { status, message } = describeGenerationFailure(error);
+        res.status(status).json({ error: message });
+    }
+});
+// Job status; `result` is the generate-from-resume response once the job has succeeded
+app.get('/api/jobs/:id', async (req, res) => {
+    try {
+        const job = await jobs.get(req.params.id);
+        if (!job) {
+            return res.status(404).json({ error: 'Job not found. Finished jobs are kept for an hour.' });
+        }
+        res.json(job);
+    } catch (error) {
+        console.error("Error loading job:", error);
+        res.status(500).json({ error: 'An unexpected error occurred while loading the job. Please try again.' });
+    }
+});
+// Update existing portfolio
+app.post('/api/update-portfolio/:id', requireEditToken, async (req, res) => {
+    const { id } = req.params;
+    const { profilePictureUrl } = req.body;
+    const portfolioData = validatedPortfolioData(res, req.body.portfolioData);
+    if (!portfolioData) return;
+    if (profilePictureUrl && !isImageSource(profilePictureUrl)) {
+        return res.status(422).json({ error: 'Some portfolio fields are invalid.', fields: [{ field: 'profilePictureUrl', message: 'Must be a PNG, JPEG, GIF or WebP image, or an http(s) URL.' }] });
+    }
     
-    res.json({ success: true, portfolioId: id });
+    try {
+        const current = await store.get(id);
+        const theme = await resolvedTheme(res, req.body.theme, id, current && current.theme);
+        if (theme === null) return;
+        
+        // Convert LinkedIn and GitHub usernames to URLs
+        if (portfolioData.personalInfo.linkedin) {
+            portfolioData.personalInfo.linkedin = convertUsernameToUrl('linkedin', portfolioData.personalInfo.linkedin);
+        }
+        if (portfolioData.personalInfo.github) {
+            portfolioData.personalInfo.github = convertUsernameToUrl('github', portfolioData.personalInfo.github);
+        }
+        
+        // Saves that don't name a theme keep the current one
+        const updated = await store.update(id, current => ({
+            ...current,
+            data: portfolioData,
+            theme: theme || current.theme,
+            profilePictureUrl,
+            revisions: appendRevision(current, portfolioData, theme || current.theme),
+            updatedAt: new Date().toISOString()
+        }));
+        
+        if (!updated) {
+            return res.status(404).json({ error: 'Portfolio not found' });
+        }
+        
+        console.log(`Portfolio updated with ID: ${id}`);
+        
+        res.json({ success: true, portfolioId: id, revision: latestRevisionNumber(updated), portfolioData });
+    } catch (error) {
+        console.error("Error updating portfolio:", error);
+        res.status(500).json({ error: 'An unexpected error occurred while updating the portfolio. Please try again.' });
+    }
 });
 // Create manual portfolio
 app.post('/api/create-manual-portfolio', upload.single('photo'), async (req, res) => {
     try {
-        const { portfolioData, theme } = req.body;
+        // Multipart requests carry the JSON fields as strings
+        let portfolioInput;
+        try {
+            portfolioInput = typeof req.body.portfolioData === 'string' ? JSON.parse(req.body.portfolioData) : req.body.portfolioData;
+        } catch (error) {
+            return res.status(400).json({ error: 'portfolioData must be valid JSON.' });
+        }
+        const portfolioData = validatedPortfolioData(res, portfolioInput);
+        if (!portfolioData) return;
+        // The theme is a registry key, or a theme object that multipart forms send as a JSON string
+        let themeReference = req.body.theme;
+        if (typeof themeReference === 'string' && themeReference.trim().startsWith('{')) {
+            try {
+                themeReference = JSON.parse(themeReference);
+            } catch (error) {
+                return res.status(400).json({ error: 'theme must be a theme key or valid JSON.' });
+            }
+        }
+        const requestedTheme = await resolvedTheme(res, themeReference);
+        if (requestedTheme === null) return;
+        const theme = requestedTheme || themes.Default;
+        
+        let expiresAt;
+        try {
+            expiresAt = parseExpiresAt(req.body.expiresAt);
+        } catch (error) {
+            return res.status(400).json({ error: error.message });
+        }
         
         // Convert LinkedIn and GitHub usernames to URLs
         if (portfolioData.personalInfo.linkedin) {
@@ -268,23 +407,32 @@ app.post('/api/create-manual-portfolio', upload.single('photo'), async (req, res
         let photoUrl = `https://placehold.co/150x150/222/fff?text=${portfolioData.personalInfo.name ? portfolioData.personalInfo.name.charAt(0) : 'P'}`;
         
         if (req.file) {
-            const photoBuffer = req.file.buffer;
-            photoUrl = `data:${req.file.mimetype};base64,${photoBuffer.toString('base64')}`;
+            photoUrl = photoDataUrl(req.file);
+            if (!photoUrl) {
+                return res.status(415).json({ error: UNSUPPORTED_PHOTO_MESSAGE });
+            }
         }
         
-        // Generate unique ID and store portfolio in memory
+        // Generate unique ID and persist the portfolio
         const portfolioId = uuidv4();
-        portfolios[portfolioId] = {
+        const editToken = generateEditToken();
+        await store.create(portfolioId, {
             data: portfolioData,
             theme: theme,
             profilePictureUrl: photoUrl,
-            createdAt: new Date()
-        };
+            editTokenHash: hashEditToken(editToken),
+            revisions: [createRevision(1, portfolioData, theme)],
+            published: true,
+            expiresAt,
+            createdAt: new Date().toISOString()
+        });
         
         console.log(`Manual portfolio created with ID: ${portfolioId}`);
         
         res.json({
             portfolioId,
+            editToken,
+            expiresAt,
             portfolioData,
             theme,
             profilePictureUrl: photoUrl
@@ -294,36 +442,502 @@ app.post('/api/create-manual-portfolio', upload.single('photo'), async (req, res
         res.status(500).json({ error: 'An unexpected error occurred while creating the portfolio. Please try again.' });
     }
 });
+// The built-in themes, each with the classes the renderers derive from its tokens
+app.get('/api/themes', async (req, res) => {
+    try {
+        res.json({ themes: (await listThemes(store)).map(withStyles) });
+    } catch (error) {
+        console.error("Error listing themes:", error);
+        res.status(500).json({ error: 'An unexpected error occurred while loading themes. Please try again.' });
+    }
+});
+app.get('/api/themes/:key', async (req, res) => {
+    try {
+        const theme = await findTheme(store, req.params.key);
+        if (!theme) {
+            return res.status(404).json({ error: 'Theme not found' });
+        }
+        res.json({ theme: withStyles(theme) });
+    } catch (error) {
+        console.error("Error loading theme:", error);
+        res.status(500).json({ error: 'An unexpected error occurred while loading the theme. Please try again.' });
+    }
+});
+// The themes a portfolio can use: the built-in ones followed by its own custom themes and the one it already has
+app.get('/api/portfolio/:id/themes', requireEditToken, async (req, res) => {
+    const { id } = req.params;
+    try {
+        const portfolio = await store.get(id);
+        if (!portfolio) {
+            return res.status(404).json({ error: 'Portfolio not found' });
+        }
+        res.json({ themes: (await listThemes(store, id, portfolio.theme)).map(withStyles) });
+    } catch (error) {
+        console.error("Error listing themes:", error);
+        res.status(500).json({ error: 'An unexpected error occurred while loading themes. Please try again.' });
+    }
+});
+// Save a custom theme from the theme builder for this portfolio. Saved themes never change, so the portfolio
+// looks the same until its owner picks another.
+app.post('/api/portfolio/:id/themes', requireEditToken, async (req, res) => {
+    const { id } = req.params;
+    const { theme, errors } = validateTheme(req.body);
+    if (errors.length > 0) {
+        return res.status(422).json({ error: 'Some theme fields are invalid.', fields: errors });
+    }
+    try {
+        const saved = await createCustomTheme(store, id, theme);
+        if (!saved && !(await store.get(id))) {
+            return res.status(404).json({ error: 'Portfolio not found' });
+        }
+        if (!saved) {
+            return res.status(409).json({ error: `A portfolio can keep at most ${MAX_CUSTOM_THEMES} custom themes.` });
+        }
+        console.log(`Custom theme created with key ${saved.key} for portfolio ${id}`);
+        res.status(201).json({ theme: withStyles(saved) });
+    } catch (error) {
+        console.error("Error saving theme:", error);
+        res.status(500).json({ error: 'An unexpected error occurred while saving the theme. Please try again.' });
+    }
+});
+// Rewrite one section (summary, an experience entry or a project description) into a few AI variants.
+// Nothing is saved: the editor shows the variants as a diff and the user decides what to keep.
+app.post('/api/enhance', async (req, res) => {
+    const request = req.body || {};
+    const validationError = validateEnhanceRequest(request);
+    if (validationError) {
+        return res.status(400).json({ error: validationError });
+    }
+    try {
+        res.json(await enhanceSection(llm, request));
+    } catch (error) {
+        console.error("Error enhancing section:", error);
+        res.status(502).json({ error: 'The AI could not rewrite this section right now. Please try again.' });
+    }
+});
+// Claims are checked and written one at a time so two portfolios can't grab the same slug
+const withSlugLock = createLockQueue();
+// Claim or change the portfolio's vanity slug (/p/:slug)
+app.put('/api/portfolio/:id/slug', requireEditToken, async (req, res) => {
+    const { id } = req.params;
+    const slug = normalizeSlug(req.body.slug);
+    const validationError = validateSlug(slug);
+    
+    if (validationError) {
+        return res.status(400).json({ error: validationError });
+    }
+    
+    try {
+        const result = await withSlugLock('claim', async () => {
+            const existing = await store.findBySlug(slug);
+            if (existing && existing.id !== id) {
+                return { conflict: true };
+            }
+            return store.update(id, current => ({
+                ...current,
+                ...applySlugChange(current, slug),
+                updatedAt: new Date().toISOString()
+            }));
+        });
+        
+        if (!result) {
+            return res.status(404).json({ error: 'Portfolio not found' });
+        }
+        if (result.conflict) {
+            return res.status(409).json({ error: `"${slug}" is already taken. Please choose another slug.` });
+        }
+        
+        console.log(`Portfolio ${id} claimed slug: ${slug}`);
+        res.json({ success: true, portfolioId: id, slug, previousSlugs: result.previousSlugs, path: `/p/${slug}` });
+    } catch (error) {
+        console.error("Error claiming slug:", error);
+        res.status(500).json({ error: 'An unexpected error occurred while saving the slug. Please try again.' });
+    }
+});
+// Suggest an available slug based on the portfolio owner's name
+app.get('/api/portfolio/:id/slug-suggestion', requireEditToken, async (req, res) => {
+    try {
+        const portfolio = await store.get(req.params.id);
+        if (!portfolio) {
+            return res.status(404).json({ error: 'Portfolio not found' });
+        }
+        const base = suggestSlug(portfolio.data?.personalInfo?.name) || 'portfolio';
+        let candidate = base;
+        for (let suffix = 2; validateSlug(candidate) || await store.findBySlug(candidate); suffix++) {
+            candidate = `${base.slice(0, 36)}-${suffix}`;
+        }
+        res.json({ slug: candidate });
+    } catch (error) {
+        console.error("Error suggesting slug:", error);
+        res.status(500).json({ error: 'An unexpected error occurred while suggesting a slug.' });
+    }
+});
+// Permanently delete a portfolio
+app.delete('/api/portfolio/:id', requireEditToken, async (req, res) => {
+    try {
+        await store.delete(req.params.id);
+        console.log(`Portfolio deleted with ID: ${req.params.id}`);
+        res.json({ success: true, portfolioId: req.params.id });
+    } catch (error) {
+        console.error("Error deleting portfolio:", error);
+        res.status(500).json({ error: 'An unexpected error occurred while deleting the portfolio. Please try again.' });
+    }
+});
+// Unpublished portfolios answer 410 on their public URLs but stay editable by the owner
+async function setPublished(req, res, published) {
+    try {
+        const updated = await store.update(req.params.id, current => ({
+            ...current,
+            published,
+            unpublishedAt: published ? null : new Date().toISOString(),
+            updatedAt: new Date().toISOString()
+        }));
+        if (!updated) {
+            return res.status(404).json({ error: 'Portfolio not found' });
+        }
+        console.log(`Portfolio ${published ? 'published' : 'unpublished'} with ID: ${req.params.id}`);
+        res.json({ success: true, portfolioId: req.params.id, published: updated.published });
+    } catch (error) {
+        console.error("Error changing publish state:", error);
+        res.status(500).json({ error: 'An unexpected error occurred while updating the portfolio. Please try again.' });
+    }
+}
+app.post('/api/portfolio/:id/unpublish', requireEditToken, (req, res) => setPublished(req, res, false));
+app.post('/api/portfolio/:id/publish', requireEditToken, (req, res) => setPublished(req, res, true));
+// Set or clear (expiresAt: null) the date after which the portfolio is purged
+app.put('/api/portfolio/:id/expiry', requireEditToken, async (req, res) => {
+    let expiresAt;
+    try {
+        expiresAt = parseExpiresAt(req.body.expiresAt);
+    } catch (error) {
+        return res.status(400).json({ error: error.message });
+    }
+    try {
+        const updated = await store.update(req.params.id, current => ({
+            ...current,
+            expiresAt,
+            updatedAt: new Date().toISOString()
+        }));
+        if (!updated) {
+            return res.status(404).json({ error: 'Portfolio not found' });
+        }
+        res.json({ success: true, portfolioId: req.params.id, expiresAt });
+    } catch (error) {
+        console.error("Error setting expiry:", error);
+        res.status(500).json({ error: 'An unexpected error occurred while updating the portfolio. Please try again.' });
+    }
+});
+// List saved revisions (newest last) without their content
+app.get('/api/portfolio/:id/revisions', requireEditToken, async (req, res) => {
+    try {
+        const portfolio = await store.get(req.params.id);
+        if (!portfolio) {
+            return res.status(404).json({ error: 'Portfolio not found' });
+        }
+        const revisions = portfolio.revisions && portfolio.revisions.length > 0
+            ? portfolio.revisions
+            : [{ ...createRevision(1, portfolio.data, portfolio.theme), savedAt: portfolio.updatedAt || portfolio.createdAt }];
+        
+        res.json({
+            portfolioId: req.params.id,
+            current: latestRevisionNumber(portfolio),
+            revisions: revisions.map(summarizeRevision)
+        });
+    } catch (error) {
+        console.error("Error listing revisions:", error);
+        res.status(500).json({ error: 'An unexpected error occurred while loading the revision history.' });
+    }
+});
+// Field-by-field diff between two revisions; `to` defaults to the current one
+app.get('/api/portfolio/:id/revisions/diff', requireEditToken, async (req, res) => {
+    try {
+        const portfolio = await store.get(req.params.id);
+        if (!portfolio) {
+            return res.status(404).json({ error: 'Portfolio not found' });
+        }
+        const toNumber = req.query.to ? Number(req.query.to) : latestRevisionNumber(portfolio);
+        const from = findRevision(portfolio, req.query.from);
+        const to = findRevision(portfolio, toNumber);
+        
+        if (!from || !to) {
+            return res.status(404).json({ error: 'Revision not found' });
+        }
+        
+        res.json({
+            portfolioId: req.params.id,
+            from: from.number,
+            to: to.number,
+            theme: from.theme?.name === to.theme?.name ? null : { before: from.theme?.name ?? null, after: to.theme?.name ?? null },
+            changes: diffPortfolioData(from.data, to.data)
+        });
+    } catch (error) {
+        console.error("Error diffing revisions:", error);
+        res.status(500).json({ error: 'An unexpected error occurred while comparing revisions.' });
+    }
+});
+// Fetch a single revision's full content
+app.get('/api/portfolio/:id/revisions/:number', requireEditToken, async (req, res) => {
+    try {
+        const portfolio = await store.get(req.params.id);
+        if (!portfolio) {
+            return res.status(404).json({ error: 'Portfolio not found' });
+        }
+        const revision = findRevision(portfolio, req.params.number);
+        
+        if (!revision) {
+            return res.status(404).json({ error: 'Revision not found' });
+        }
+        
+        res.json({ portfolioId: req.params.id, revision });
+    } catch (error) {
+        console.error("Error loading revision:", error);
+        res.status(500).json({ error: 'An unexpected error occurred while loading the revision.' });
+    }
+});
+// Restoring saves the old content as a new revision, so the restore itself can be undone
+app.post('/api/portfolio/:id/revisions/:number/restore', requireEditToken, async (req, res) => {
+    try {
+        let restored = null;
+        const updated = await store.update(req.params.id, current => {
+            restored = findRevision(current, req.params.number);
+            if (!restored) return current;
+            return {
+                ...current,
+                data: restored.data,
+                theme: restored.theme,
+                revisions: appendRevision(current, restored.data, restored.theme, { restoredFrom: restored.number }),
+                updatedAt: new Date().toISOString()
+            };
+        });
+        
+        if (!updated) {
+            return res.status(404).json({ error: 'Portfolio not found' });
+        }
+        if (!restored) {
+            return res.status(404).json({ error: 'Revision not found' });
+        }
+        
+        console.log(`Portfolio ${req.params.id} restored to revision ${restored.number}`);
+        
+        res.json({
+            success: true,
+            portfolioId: req.params.id,
+            revision: latestRevisionNumber(updated),
+            restoredFrom: restored.number,
+            portfolioData: updated.data,
+            theme: updated.theme
+        });
+    } catch (error) {
+        console.error("Error restoring revision:", error);
+        res.status(500).json({ error: 'An unexpected error occurred while restoring the revision. Please try again.' });
+    }
+});
+// Save a copy of the portfolio tailored to a job description. The original is left untouched; the copy
+// gets its own ID and edit token and remembers where it came from in `tailoredFrom`.
+app.post('/api/portfolio/:id/tailor', requireEditToken, async (req, res) => {
+    const { jobDescription } = req.body || {};
+    const validationError = validateJobDescription(jobDescription);
+    if (validationError) {
+        return res.status(400).json({ error: validationError });
+    }
+    try {
+        const source = await store.get(req.params.id);
+        if (!source) {
+            return res.status(404).json({ error: 'Portfolio not found' });
+        }
+        const tailored = await tailorPortfolio(llm, source.data, jobDescription);
+        
+        const portfolioId = uuidv4();
+        const editToken = generateEditToken();
+        await store.create(portfolioId, {
+            data: tailored.data,
+            theme: source.theme,
+            profilePictureUrl: source.profilePictureUrl,
+            editTokenHash: hashEditToken(editToken),
+            revisions: [createRevision(1, tailored.data, source.theme)],
+            published: true,
+            expiresAt: null,
+            tailoredFrom: req.params.id,
+            tailoring: {
+                jobDescription,
+                highlightedSkills: tailored.highlightedSkills,
+                match: tailored.match
+            },
+            createdAt: new Date().toISOString()
+        });
+        
+        console.log(`Portfolio ${req.params.id} tailored to a job as ${portfolioId} (${tailored.match.score}% keyword match)`);
+        
+        res.json({
+            portfolioId,
+            editToken,
+            tailoredFrom: req.params.id,
+            highlightedSkills: tailored.highlightedSkills,
+            match: tailored.match,
+            summaryRetargeted: tailored.summaryRetargeted,
+            portfolioData: tailored.data,
+            theme: source.theme,
+            profilePictureUrl: source.profilePictureUrl
+        });
+    } catch (error) {
+        console.error("Error tailoring portfolio:", error);
+        res.status(500).json({ error: 'An unexpected error occurred while tailoring the portfolio. Please try again.' });
+    }
+});
+// Parse an updated resume against the portfolio and propose what changed since it was last imported.
+// The proposal is kept on the record as `pendingImport`; nothing else changes until it's applied.
+app.post('/api/portfolio/:id/reimport', requireEditToken, resumeUpload, async (req, res) => {
+    try {
+        const request = readGenerationRequest(req);
+        const { text } = await extractUploadedText(request);
+        const parsed = await parseResume(llm, text, { parser: request.parser, cache: parseCache, force: request.force });
+        
+        let changes = [];
+        const updated = await store.update(req.params.id, current => {
+            changes = buildReimportChanges(importBase(current), current.data, parsed.parsedData);
+            return {
+                ...current,
+                pendingImport: { data: parsed.parsedData, changes, createdAt: new Date().toISOString() }
+            };
+        });
+        if (!updated) {
+            return res.status(404).json({ error: 'Portfolio not found' });
+        }
+        
+        console.log(`Resume re-imported into portfolio ${req.params.id}: ${changes.length} change(s) proposed`);
+        
+        res.json({
+            portfolioId: req.params.id,
+            parser: parsed.parser,
+            parserFallback: parsed.fallback,
+            cached: parsed.cached,
+            changes
+        });
+    } catch (error) {
+        console.error("Error re-importing resume:", error);
+        const { status, message } = describeGenerationFailure(error);
+        res.status(status).json({ error: message });
+    }
+});
+// Apply the accepted changes of the pending re-import. The rest are rejected: the new resume becomes the base
+// for the next re-import, so rejected changes aren't proposed again.
+app.post('/api/portfolio/:id/reimport/apply', requireEditToken, async (req, res) => {
+    const { accept } = req.body || {};
+    if (!Array.isArray(accept) || !accept.every(id => typeof id === 'string')) {
+        return res.status(400).json({ error: 'accept must be a list of change IDs.' });
+    }
+    try {
+        let accepted = null;
+        const updated = await store.update(req.params.id, current => {
+            const { pendingImport, ...rest } = current;
+            if (!pendingImport) return current;
+            accepted = pendingImport.changes.filter(change => accept.includes(change.id));
+            const data = applyReimportChanges(current.data, accepted);
+            return {
+                ...rest,
+                data,
+                lastImport: { data: pendingImport.data, importedAt: new Date().toISOString() },
+                revisions: appendRevision(current, data, current.theme, { reimported: true }),
+                updatedAt: new Date().toISOString()
+            };
+        });
+        
+        if (!updated) {
+            return res.status(404).json({ error: 'Portfolio not found' });
+        }
+        if (!accepted) {
+            return res.status(409).json({ error: 'There is no re-import waiting to be applied. Upload the updated resume again.' });
+        }
+        
+        console.log(`Re-import applied to portfolio ${req.params.id}: ${accepted.length} change(s) accepted`);
+        
+        res.json({
+            success: true,
+            portfolioId: req.params.id,
+            revision: latestRevisionNumber(updated),
+            applied: accepted.length,
+            portfolioData: updated.data
+        });
+    } catch (error) {
+        console.error("Error applying re-import:", error);
+        res.status(500).json({ error: 'An unexpected error occurred while applying the changes. Please try again.' });
+    }
+});
+// Issue a new edit token; the old one stops working immediately
+app.post('/api/portfolio/:id/edit-token/rotate', requireEditToken, async (req, res) => {
+    try {
+        const editToken = generateEditToken();
+        const updated = await store.update(req.params.id, current => ({
+            ...current,
+            editTokenHash: hashEditToken(editToken),
+            updatedAt: new Date().toISOString()
+        }));
+        if (!updated) {
+            return res.status(404).json({ error: 'Portfolio not found' });
+        }
+        
+        console.log(`Edit token rotated for portfolio ID: ${req.params.id}`);
+        res.json({ success: true, portfolioId: req.params.id, editToken });
+    } catch (error) {
+        console.error("Error rotating edit token:", error);
+        res.status(500).json({ error: 'An unexpected error occurred while rotating the edit token. Please try again.' });
+    }
+});
+// Revoke the edit token, leaving the portfolio permanently read-only
+app.delete('/api/portfolio/:id/edit-token', requireEditToken, async (req, res) => {
+    try {
+        const updated = await store.update(req.params.id, current => ({
+            ...current,
+            editTokenHash: null,
+            editTokenRevokedAt: new Date().toISOString(),
+            updatedAt: new Date().toISOString()
+        }));
+        if (!updated) {
+            return res.status(404).json({ error: 'Portfolio not found' });
+        }
+        
+        console.log(`Edit token revoked for portfolio ID: ${req.params.id}`);
+        res.json({ success: true, portfolioId: req.params.id });
+    } catch (error) {
+        console.error("Error revoking edit token:", error);
+        res.status(500).json({ error: 'An unexpected error occurred while revoking the edit token. Please try again.' });
+    }
+});
 // Add this endpoint to serve portfolio images publicly
-app.get('/api/portfolio-image/:id', (req, res) => {
+app.get('/api/portfolio-image/:id', async (req, res) => {
     const { id } = req.params;
+    let portfolio;
+    try {
+        portfolio = await store.get(id);
+    } catch (error) {
+        console.error("Error loading portfolio image:", error);
+        return res.status(500).send('Could not load the portfolio image');
+    }
     
-    if (!portfolios[id]) {
+    if (!portfolio) {
         return res.status(404).send('Portfolio not found');
     }
+    if (getAvailability(portfolio) !== 'available') {
+        return res.status(410).send('Portfolio is no longer available');
+    }
     
-    const portfolio = portfolios[id];
     const profilePictureUrl = portfolio.profilePictureUrl;
     
-    // Check if it's a data URL
-    if (profilePictureUrl && profilePictureUrl.startsWith('data:')) {
+    // Only image data URLs are served, so a stored upload can never be delivered as HTML or script
+    if (isImageDataUrl(profilePictureUrl)) {
         // Extract the base64 data and MIME type
-        const matches = profilePictureUrl.match(/^data:(.+);base64,(.+)$/);
-        
-        if (matches && matches.length === 3) {
-            const mimeType = matches[1];
-            const base64Data = matches[2];
-            
-            // Convert base64 to Buffer
-            const imageBuffer = Buffer.from(base64Data, 'base64');
-            
-            // Set the appropriate Content-Type header
-            res.setHeader('Content-Type', mimeType);
-            res.setHeader('Content-Length', imageBuffer.length);
-            
-            // Send the image
-            return res.send(imageBuffer);
-        }
+        const [, mimeType, base64Data] = profilePictureUrl.trim().match(/^data:([^;]+);base64,([\s\S]*)$/);
+        
+        // Convert base64 to Buffer
+        const imageBuffer = Buffer.from(base64Data, 'base64');
+        
+        // Set the appropriate Content-Type header, and stop browsers sniffing the bytes for another type
+        res.setHeader('Content-Type', mimeType);
+        res.setHeader('Content-Length', imageBuffer.length);
+        res.setHeader('X-Content-Type-Options', 'nosniff');
+        
+        // Send the image
+        return res.send(imageBuffer);
     }
     
     // If not a data URL or something went wrong, return a placeholder
@@ -334,7 +948,7 @@ app.get('/api/portfolio-image/:id', (req, res) => {
 });
 // Helper function to create error pages
 function createErrorPage(title, message) {
-    return `
+    return String(html`
         <!DOCTYPE html>
         <html lang="en">
         <head>
@@ -355,14 +969,13 @@ function createErrorPage(title, message) {
             </div>
         </body>
         </html>
-    `;
+    `);
 }
-// Serve portfolio page with improved error handling
-app.get('/portfolio/:id', (req, res) => {
+// Serve portfolio page with improved error handling (/shared/:id matches the Netlify share links)
+app.get(['/portfolio/:id', '/shared/:id'], async (req, res) => {
     const { id } = req.params;
     
     console.log(`Request received for portfolio ID: ${id}`);
-    console.log(`Available portfolio IDs: ${Object.keys(portfolios).join(', ')}`);
     
     // Validate the ID format (UUID)
     const uuidRegex = /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/i;
@@ -371,16 +984,61 @@ app.get('/portfolio/:id', (req, res) => {
         return res.status(400).send(createErrorPage('Invalid Portfolio ID', 'The portfolio ID you provided is not valid. Please check the URL and try again.'));
     }
     
-    const portfolio = portfolios[id];
+    try {
+        const portfolio = await store.get(id);
+        
+        if (!portfolio) {
+            console.log(`Portfolio not found for ID: ${id}`);
+            return res.status(404).send(createErrorPage('Portfolio Not Found', 'The portfolio you\'re looking for doesn\'t exist or may have been deleted.'));
+        }
+        
+        sendPortfolioPage(req, res, id, portfolio);
+    } catch (error) {
+        console.error("Error loading portfolio:", error);
+        res.status(500).send(createErrorPage('Server Error', 'We encountered an error while loading this portfolio. Please try again later.'));
+    }
+});
+// Serve portfolio page by vanity slug; retired slugs redirect to the current one
+app.get('/p/:slug', async (req, res) => {
+    const slug = normalizeSlug(req.params.slug);
     
-    if (!portfolio) {
-        console.log(`Portfolio not found for ID: ${id}`);
-        return res.status(404).send(createErrorPage('Portfolio Not Found', 'The portfolio you\'re looking for doesn\'t exist or may have been deleted.'));
+    try {
+        const match = await store.findBySlug(slug);
+        
+        if (!match) {
+            console.log(`Portfolio not found for slug: ${slug}`);
+            return res.status(404).send(createErrorPage('Portfolio Not Found', 'The portfolio you\'re looking for doesn\'t exist or may have been deleted.'));
+        }
+        if (match.record.slug !== slug) {
+            return res.redirect(301, `/p/${match.record.slug}`);
+        }
+        
+        sendPortfolioPage(req, res, match.id, match.record);
+    } catch (error) {
+        console.error("Error resolving slug:", error);
+        res.status(500).send(createErrorPage('Server Error', 'We encountered an error while loading this portfolio. Please try again later.'));
+    }
+});
+// Render a stored portfolio as a public page with Open Graph tags
+function sendPortfolioPage(req, res, id, portfolio) {
+    const availability = getAvailability(portfolio);
+    if (availability !== 'available') {
+        console.log(`Portfolio ${availability} for ID: ${id}`);
+        return res.status(410).send(createErrorPage('Portfolio Unavailable', availability === 'expired'
+            ? 'This portfolio has expired and is no longer available.'
+            : 'The owner has unpublished this portfolio.'));
     }
     
     try {
-        // Ensure personalInfo exists
-        const personalInfo = portfolio.data.personalInfo || {};
+        const { personalInfo, skillGroups, certifications, awards, languages, publications } = portfolio.data;
+        // Skills matching the job a tailored copy was made for
+        const highlightedSkills = portfolio.tailoring ? portfolio.tailoring.highlightedSkills : [];
+        // Newest first; years are counted at render time so current jobs keep counting
+        const experience = sortByDate(portfolio.data.experience);
+        const education = sortByDate(portfolio.data.education);
+        const customSections = visibleCustomSections(portfolio.data);
+        const styles = themeStyles(portfolio.theme);
+        const yearsOfExperience = formatYearsOfExperience(totalYearsOfExperience(experience));
         
         // Add proper headers for sharing
         res.set({
@@ -405,11 +1063,13 @@ app.get('/portfolio/:id', (req, res) => {
             imageUrl = `https://via.placeholder.com/1200x627/4F46E5/FFFFFF?text=${encodeURIComponent(personalInfo.name || 'Portfolio')}`;
         }
         
-        // Ensure the URL is absolute and publicly accessible
-        const portfolioUrl = `${req.protocol}://${req.get('host')}/portfolio/${id}`;
+        // Ensure the URL is absolute and publicly accessible, preferring the vanity slug when one is claimed
+        const portfolioUrl = portfolio.slug
+            ? `${req.protocol}://${req.get('host')}/p/${portfolio.slug}`
+            : `${req.protocol}://${req.get('host')}/portfolio/${id}`;
         
         // Generate the portfolio HTML with Open Graph tags for better sharing
-        const portfolioHtml = `
+        const portfolioHtml = html`
             <!DOCTYPE html>
             <html lang="en">
             <head>
@@ -451,33 +1111,33 @@ app.get('/portfolio/:id', (req, res) => {
                     }
                 </style>
             </head>
-            <body class="${portfolio.theme.background} ${portfolio.theme.font} min-h-screen">
+            <body class="${styles.body} min-h-screen">
                 <div class="container mx-auto p-4 md:p-8 max-w-5xl">
                     <header class="flex flex-col md:flex-row items-center text-center md:text-left gap-8 mb-12">
-                        <img src="${portfolio.profilePictureUrl}" alt="Profile Picture" class="w-36 h-36 rounded-full border-4 border-opacity-50 ${portfolio.theme.secondaryColor.replace('text-','border-')} object-cover shadow-lg">
+                        <img src="${safeUrl(portfolio.profilePictureUrl, { images: true })}" alt="Profile Picture" class="w-36 h-36 rounded-full border-4 border-opacity-50 ${styles.border} object-cover shadow-lg">
                         <div>
                             <h1 class="text-4xl md:text-5xl font-bold">${personalInfo.name || 'Your Name'}</h1>
-                            <p class="text-xl ${portfolio.theme.secondaryColor} mt-1">
+                            <p class="text-xl ${styles.accent} mt-1">
                                 ${personalInfo.email ? 
-                                    `<a href="mailto:${personalInfo.email}" class="hover:underline">${personalInfo.email}</a>` : 
+                                    html`<a href="${safeUrl(`mailto:${personalInfo.email}`)}" class="hover:underline">${personalInfo.email}</a>` : 
                                     'your.email@example.com'}
                             </p>
-                            ${personalInfo.phone ? `<p class="text-gray-400 mb-4"><i class="fas fa-phone mr-2"></i>${personalInfo.phone}</p>` : ''}
+                            ${personalInfo.phone ? html`<p class="${styles.text} mb-4"><i class="fas fa-phone mr-2"></i>${personalInfo.phone}</p>` : ''}
                             <div class="flex justify-center md:justify-start gap-4 mt-4">
-                                ${personalInfo.email ? `
-                                    <a href="mailto:${personalInfo.email}" class="social-link ${portfolio.theme.secondaryColor} hover:text-white transition-colors" title="Email">
+                                ${personalInfo.email ? html`
+                                    <a href="${safeUrl(`mailto:${personalInfo.email}`)}" class="social-link ${styles.social}" title="Email">
                                         <i class="fas fa-envelope text-xl"></i>
                                     </a>` : ''}
-                                ${personalInfo.linkedin ? `
-                                    <a href="${personalInfo.linkedin}" target="_blank" class="social-link ${portfolio.theme.secondaryColor} hover:text-white transition-colors" title="LinkedIn">
+                                ${safeUrl(personalInfo.linkedin) ? html`
+                                    <a href="${safeUrl(personalInfo.linkedin)}" target="_blank" rel="noopener noreferrer" class="social-link ${styles.social}" title="LinkedIn">
                                         <i class="fab fa-linkedin text-xl"></i>
                                     </a>` : ''}
-                                ${personalInfo.github ? `
-                                    <a href="${personalInfo.github}" target="_blank" class="social-link ${portfolio.theme.secondaryColor} hover:text-white transition-colors" title="GitHub">
+                                ${safeUrl(personalInfo.github) ? html`
+                                    <a href="${safeUrl(personalInfo.github)}" target="_blank" rel="noopener noreferrer" class="social-link ${styles.social}" title="GitHub">
                                         <i class="fab fa-github text-xl"></i>
                                     </a>` : ''}
-                                ${personalInfo.website ? `
-                                    <a href="${personalInfo.website}" target="_blank" class="social-link ${portfolio.theme.secondaryColor} hover:text-white transition-colors" title="Website">
+                                ${safeUrl(personalInfo.website) ? html`
+                                    <a href="${safeUrl(personalInfo.website)}" target="_blank" rel="noopener noreferrer" class="social-link ${styles.social}" title="Website">
                                         <i class="fas fa-globe text-xl"></i>
                                     </a>` : ''}
                             </div>
@@ -486,41 +1146,118 @@ app.get('/portfolio/:id', (req, res) => {
                     <div class="grid md:grid-cols-3 gap-8">
                         <div class="md:col-span-2 space-y-8">
                             <section>
-                                <h2 class="text-2xl font-bold border-b-2 ${portfolio.theme.secondaryColor.replace('text-','border-')} pb-2 mb-4">Professional Summary</h2>
-                                <p class="text-gray-300">${portfolio.data.summary || 'No summary provided.'}</p>
+                                <h2 class="text-2xl font-bold border-b-2 ${styles.border} pb-2 mb-4">Professional Summary</h2>
+                                <p class="${styles.text}">${portfolio.data.summary || 'No summary provided.'}</p>
                             </section>
                             <section>
-                                 <h2 class="text-2xl font-bold border-b-2 ${portfolio.theme.secondaryColor.replace('text-','border-')} pb-2 mb-4">Work Experience</h2>
-                                 ${(portfolio.data.experience || []).map(job => `
+                                 <h2 class="text-2xl font-bold border-b-2 ${styles.border} pb-2 mb-4">Work Experience${yearsOfExperience ? html` <span class="text-base font-normal ${styles.text}">&middot; ${yearsOfExperience}</span>` : ''}</h2>
+                                 ${experience.map(job => html`
                                     <div class="mb-4">
                                         <h4 class="text-lg font-bold">${job.role || 'Role'} at ${job.company || 'Company'}</h4>
-                                        <p class="text-sm ${portfolio.theme.secondaryColor} mb-1">${job.dates || ''}</p>
-                                        <ul class="list-disc list-inside text-gray-300">
-                                            ${(job.description || []).map(d => `<li>${d}</li>`).join('')}
+                                        <p class="text-sm ${styles.accent} mb-1">${job.dates || ''}</p>
+                                        <ul class="list-disc list-inside ${styles.text}">
+                                            ${job.description.map(d => html`<li>${d}</li>`)}
                                         </ul>
                                     </div>
-                                 `).join('') || '<p class="text-gray-400">No work experience listed.</p>'}
+                                 `)}
+                                 ${experience.length === 0 ? html`<p class="${styles.text}">No work experience listed.</p>` : ''}
                             </section>
+                            ${education.length > 0 ? html`
+                                <section>
+                                    <h2 class="text-2xl font-bold border-b-2 ${styles.border} pb-2 mb-4">Education</h2>
+                                    ${education.map(entry => html`
+                                        <div class="mb-4">
+                                            <h4 class="text-lg font-bold">${entry.degree || entry.institution}</h4>
+                                            ${entry.degree && entry.institution ? html`<p class="${styles.text}">${entry.institution}</p>` : ''}
+                                            <p class="text-sm ${styles.accent} mb-1">${entry.dates || ''}</p>
+                                        </div>
+                                    `)}
+                                </section>` : ''}
+                            ${publications.length > 0 ? html`
+                                <section>
+                                    <h2 class="text-2xl font-bold border-b-2 ${styles.border} pb-2 mb-4">Publications</h2>
+                                    ${publications.map(publication => html`
+                                        <div class="mb-4">
+                                            <h4 class="font-bold">${safeUrl(publication.link) ? html`<a href="${safeUrl(publication.link)}" target="_blank" rel="noopener noreferrer" class="hover:underline">${publication.title || 'Untitled'}</a>` : publication.title || 'Untitled'}</h4>
+                                            <p class="text-sm ${styles.text}">${[publication.publisher, publication.date].filter(Boolean).join(' · ')}</p>
+                                        </div>
+                                    `)}
+                                </section>` : ''}
                         </div>
                         <div class="md:col-span-1 space-y-8">
                             <section>
-                                 <h2 class="text-2xl font-bold border-b-2 ${portfolio.theme.secondaryColor.replace('text-','border-')} pb-2 mb-4">Skills</h2>
-                                 <div class="flex flex-wrap">
-                                    ${(portfolio.data.skills || []).map(skill => `<span class="${portfolio.theme.primaryColor} text-white text-sm font-medium mr-2 mb-2 px-3 py-1 rounded-full">${skill}</span>`).join('') || '<p class="text-gray-400">No skills listed.</p>'}
-                                 </div>
+                                 <h2 class="text-2xl font-bold border-b-2 ${styles.border} pb-2 mb-4">Skills</h2>
+                                 ${skillGroups.map(group => html`
+                                    <div class="mb-3">
+                                        ${skillGroups.length > 1 ? html`<h3 class="text-sm font-semibold uppercase tracking-wide ${styles.text} mb-2">${group.label}</h3>` : ''}
+                                        <div class="flex flex-wrap">
+                                            ${group.skills.map(skill => html`<span class="${styles.chip} text-sm font-medium mr-2 mb-2 px-3 py-1${highlightedSkills.includes(skill) ? ' ring-2 ring-amber-300' : ''}">${highlightedSkills.includes(skill) ? html`<i class="fas fa-star mr-1 text-amber-300"></i>` : ''}${skill}</span>`)}
+                                        </div>
+                                    </div>
+                                 `)}
+                                 ${skillGroups.length === 0 ? html`<p class="${styles.text}">No skills listed.</p>` : ''}
                             </section>
                             <section>
-                                <h2 class="text-2xl font-bold border-b-2 ${portfolio.theme.secondaryColor.replace('text-','border-')} pb-2 mb-4">Projects</h2>
-                                ${(portfolio.data.projects || []).map(proj => `
-                                    <div class="${portfolio.theme.card} p-4 rounded-lg mb-4">
-                                        <h4 class="font-bold ${portfolio.theme.secondaryColor}">${proj.title || 'Project Title'}</h4>
-                                        <p class="text-gray-300 text-sm mt-1">${proj.description || ''}</p>
-                                        ${proj.link ? `<a href="${proj.link}" target="_blank" class="text-blue-400 hover:underline text-sm mt-2 inline-block">View Project &rarr;</a>` : ''}
+                                <h2 class="text-2xl font-bold border-b-2 ${styles.border} pb-2 mb-4">Projects</h2>
+                                ${portfolio.data.projects.map(proj => html`
+                                    <div class="${styles.card} p-4 mb-4">
+                                        <h4 class="font-bold ${styles.accent}">${proj.title || 'Project Title'}</h4>
+                                        <p class="${styles.text} text-sm mt-1">${proj.description || ''}</p>
+                                        ${safeUrl(proj.link) ? html`<a href="${safeUrl(proj.link)}" target="_blank" rel="noopener noreferrer" class="${styles.accent} hover:underline text-sm mt-2 inline-block">View Project &rarr;</a>` : ''}
                                     </div>
-                                `).join('') || '<p class="text-gray-400">No projects listed.</p>'}
+                                `)}
+                                ${portfolio.data.projects.length === 0 ? html`<p class="${styles.text}">No projects listed.</p>` : ''}
                             </section>
+                            ${certifications.length > 0 ? html`
+                                <section>
+                                    <h2 class="text-2xl font-bold border-b-2 ${styles.border} pb-2 mb-4">Certifications</h2>
+                                    ${certifications.map(certification => html`
+                                        <div class="mb-3">
+                                            <h4 class="font-bold ${styles.accent}">${safeUrl(certification.link) ? html`<a href="${safeUrl(certification.link)}" target="_blank" rel="noopener noreferrer" class="hover:underline">${certification.name || 'Certification'}</a>` : certification.name || 'Certification'}</h4>
+                                            <p class="text-sm ${styles.text}">${[certification.issuer, certification.date].filter(Boolean).join(' · ')}</p>
+                                        </div>
+                                    `)}
+                                </section>` : ''}
+                            ${awards.length > 0 ? html`
+                                <section>
+                                    <h2 class="text-2xl font-bold border-b-2 ${styles.border} pb-2 mb-4">Awards</h2>
+                                    ${awards.map(award => html`
+                                        <div class="mb-3">
+                                            <h4 class="font-bold ${styles.accent}">${award.title || 'Award'}</h4>
+                                            <p class="text-sm ${styles.text}">${[award.issuer, award.date].filter(Boolean).join(' · ')}</p>
+                                            ${award.description ? html`<p class="${styles.text} text-sm mt-1">${award.description}</p>` : ''}
+                                        </div>
+                                    `)}
+                                </section>` : ''}
+                            ${languages.length > 0 ? html`
+                                <section>
+                                    <h2 class="text-2xl font-bold border-b-2 ${styles.border} pb-2 mb-4">Languages</h2>
+                                    <ul class="${styles.text} space-y-1">
+                                        ${languages.map(entry => html`<li><span class="font-medium">${entry.language || ''}</span>${entry.proficiency ? html` <span class="${styles.text}">&middot; ${entry.proficiency}</span>` : ''}</li>`)}
+                                    </ul>
+                                </section>` : ''}
                         </div>
                     </div>
+                    ${customSections.map(section => html`
+                        <section class="mt-8">
+                            <h2 class="text-2xl font-bold border-b-2 ${styles.border} pb-2 mb-4">${section.title}</h2>
+                            ${section.type === 'text' ? html`<p class="${styles.text} whitespace-pre-line">${section.body}</p>` : ''}
+                            ${section.type === 'list' ? html`
+                                <ul class="list-disc list-inside ${styles.text} space-y-1">
+                                    ${section.items.map(item => html`<li>${item}</li>`)}
+                                </ul>` : ''}
+                            ${section.type === 'cards' ? html`
+                                <div class="grid md:grid-cols-2 gap-4">
+                                    ${section.cards.map(card => html`
+                                        <div class="${styles.card} p-4">
+                                            <h4 class="font-bold ${styles.accent}">${safeUrl(card.link) ? html`<a href="${safeUrl(card.link)}" target="_blank" rel="noopener noreferrer" class="hover:underline">${card.title || 'Untitled'}</a>` : card.title || 'Untitled'}</h4>
+                                            ${card.subtitle || card.dates ? html`<p class="text-sm ${styles.text}">${[card.subtitle, card.dates].filter(Boolean).join(' · ')}</p>` : ''}
+                                            ${card.body ? html`<p class="${styles.text} text-sm mt-2">${card.body}</p>` : ''}
+                                        </div>
+                                    `)}
+                                </div>` : ''}
+                        </section>
+                    `)}
                     
                     <!-- Add a footer with the portfolio URL -->
                     <footer class="mt-12 pt-6 border-t border-gray-700 text-center text-gray-500 text-sm">
@@ -531,16 +1268,31 @@ app.get('/portfolio/:id', (req, res) => {
             </html>
         `;
         
-        res.send(portfolioHtml);
+        res.send(String(portfolioHtml));
     } catch (error) {
         console.error("Error serving portfolio:", error);
         res.status(500).send(createErrorPage('Server Error', 'We encountered an error while loading this portfolio. Please try again later.'));
     }
+}
+// Malformed JSON bodies, and errors routes pass on, are answered in JSON like every other API error
+app.use((error, req, res, next) => {
+    if (error.type === 'entity.parse.failed') {
+        return res.status(400).json({ error: 'The request body must be valid JSON.' });
+    }
+    console.error("Unhandled error:", error);
+    res.status(500).json({ error: 'An unexpected error occurred. Please try again.' });
 });
-// Start server - listen on all interfaces
-app.listen(port, '0.0.0.0', () => {
-    console.log(`✅ PortfolioForge server is running at http://localhost:${port}`);
-    console.log(`🔗 Portfolio URLs will be available at http://${localIp}:${port}/portfolio/:id`);
-    console.log(`🌐 Shareable IP: http://${localIp}:${port}`);
-    console.log(`🌐 Accessible from network at: http://0.0.0.0:${port}`);
+// Load saved portfolios, then start server - listen on all interfaces
+store.load().then(count => {
+    console.log(`📂 Loaded ${count} saved portfolio(s)`);
+    startExpirySweeper(store, Number(process.env.EXPIRY_SWEEP_INTERVAL_MS) || 15 * 60 * 1000);
+    app.listen(port, '0.0.0.0', () => {
+        console.log(`✅ PortfolioForge server is running at http://localhost:${port}`);
+        console.log(`🔗 Portfolio URLs will be available at http://${localIp}:${port}/portfolio/:id`);
+        console.log(`🌐 Shareable IP: http://${localIp}:${port}`);
+        console.log(`🌐 Accessible from network at: http://0.0.0.0:${port}`);
+    });
+}).catch(error => {
+    console.error("Failed to load saved portfolios:", error);
+    process.exit(1);
 });
\ No newline at end of file
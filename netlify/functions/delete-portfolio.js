@@ -0,0 +1,35 @@
+const { getStore } = require('../../backend/lib/storage');
+const { checkEditToken } = require('../../backend/lib/edit-tokens');
+
+// Deletes a portfolio for the holder of its edit token; see DELETE /api/portfolio/:id in backend/server.js
+exports.handler = async (event) => {
+  if (event.httpMethod !== 'DELETE') {
+    return {
+      statusCode: 405,
+      body: JSON.stringify({ error: 'Method not allowed' })
+    };
+  }
+  try {
+    const id = event.queryStringParameters && event.queryStringParameters.id;
+    const store = await getStore();
+    const denied = checkEditToken(id ? await store.get(id) : null, event.headers);
+    if (denied) {
+      return {
+        statusCode: denied.status,
+        body: JSON.stringify({ error: denied.error })
+      };
+    }
+
+    await store.delete(id);
+    return {
+      statusCode: 200,
+      body: JSON.stringify({ success: true, portfolioId: id })
+    };
+  } catch (error) {
+    console.error('Error in delete-portfolio function:', error);
+    return {
+      statusCode: 500,
+      body: JSON.stringify({ error: 'Internal server error' })
+    };
+  }
+};
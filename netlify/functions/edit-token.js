@@ -0,0 +1,52 @@
+const { getStore } = require('../../backend/lib/storage');
+const { generateEditToken, hashEditToken, checkEditToken } = require('../../backend/lib/edit-tokens');
+
+// Rotates (POST with ?action=rotate) or revokes (DELETE) a portfolio's edit token; see
+// POST /api/portfolio/:id/edit-token/rotate and DELETE /api/portfolio/:id/edit-token in backend/server.js.
+// Both need the current token.
+exports.handler = async (event) => {
+  const { id, action } = event.queryStringParameters || {};
+  const rotating = event.httpMethod === 'POST' && action === 'rotate';
+  if (!rotating && !(event.httpMethod === 'DELETE' && !action)) {
+    return {
+      statusCode: 405,
+      body: JSON.stringify({ error: 'Method not allowed' })
+    };
+  }
+  try {
+    const store = await getStore();
+    const denied = checkEditToken(id ? await store.get(id) : null, event.headers);
+    if (denied) {
+      return {
+        statusCode: denied.status,
+        body: JSON.stringify({ error: denied.error })
+      };
+    }
+
+    const editToken = rotating ? generateEditToken() : null;
+    const updated = await store.update(id, current => ({
+      ...current,
+      ...(rotating
+        ? { editTokenHash: hashEditToken(editToken) }
+        : { editTokenHash: null, editTokenRevokedAt: new Date().toISOString() }),
+      updatedAt: new Date().toISOString()
+    }));
+    if (!updated) {
+      return {
+        statusCode: 404,
+        body: JSON.stringify({ error: 'Portfolio not found' })
+      };
+    }
+
+    return {
+      statusCode: 200,
+      body: JSON.stringify(rotating ? { success: true, portfolioId: id, editToken } : { success: true, portfolioId: id })
+    };
+  } catch (error) {
+    console.error('Error in edit-token function:', error);
+    return {
+      statusCode: 500,
+      body: JSON.stringify({ error: 'Internal server error' })
+    };
+  }
+};
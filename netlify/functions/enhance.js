@@ -0,0 +1,50 @@
+const { createLlm } = require('../../backend/lib/llm');
+const { validateEnhanceRequest, enhanceSection } = require('../../backend/lib/enhance');
+
+const llm = createLlm();
+
+// AI rewrites of one portfolio section; see /api/enhance in backend/server.js
+exports.handler = async (event) => {
+  if (event.httpMethod !== 'POST') {
+    return {
+      statusCode: 405,
+      body: JSON.stringify({ error: 'Method not allowed' })
+    };
+  }
+  try {
+    let request;
+    try {
+      request = JSON.parse(event.body || '{}');
+    } catch (error) {
+      return {
+        statusCode: 400,
+        body: JSON.stringify({ error: 'The request body must be valid JSON.' })
+      };
+    }
+    const validationError = validateEnhanceRequest(request);
+    if (validationError) {
+      return {
+        statusCode: 400,
+        body: JSON.stringify({ error: validationError })
+      };
+    }
+    try {
+      return {
+        statusCode: 200,
+        body: JSON.stringify(await enhanceSection(llm, request))
+      };
+    } catch (error) {
+      console.error('Error enhancing section:', error);
+      return {
+        statusCode: 502,
+        body: JSON.stringify({ error: 'The AI could not rewrite this section right now. Please try again.' })
+      };
+    }
+  } catch (error) {
+    console.error('Error in enhance function:', error);
+    return {
+      statusCode: 500,
+      body: JSON.stringify({ error: 'Internal server error' })
+    };
+  }
+};
@@ -1,20 +1,24 @@
-const { createClient } = require('@supabase/supabase-js');
-const { GoogleGenerativeAI } = require("@google/generative-ai");
 const { v4: uuidv4 } = require('uuid');
 const pdfParse = require('pdf-parse');
+const { getStore } = require('../../backend/lib/storage');
+const { generateEditToken, hashEditToken } = require('../../backend/lib/edit-tokens');
+const { createLlm } = require('../../backend/lib/llm');
+const { PARSERS, parseResume } = require('../../backend/lib/resume-ai');
+const { validatePortfolioData } = require('../../backend/lib/portfolio-schema');
+const { createParseCache } = require('../../backend/lib/parse-cache');
+const { themes, findTheme } = require('../../backend/lib/themes');
+const { createRevision } = require('../../backend/lib/revisions');
+const { parseExpiresAt } = require('../../backend/lib/lifecycle');
+const { isImageSource } = require('../../backend/lib/html');
 
-// Initialize Supabase client
-const supabase = createClient(
-  process.env.SUPABASE_URL,
-  process.env.SUPABASE_ANON_KEY
-);
-
-// Initialize Google AI
-const genAI = new GoogleGenerativeAI(process.env.GOOGLE_API_KEY);
+// Provider, model, temperature and timeout come from the LLM_* env vars
+const llm = createLlm();
+// Created on first use: the cache persists to the same store as the portfolios
+let parseCache = null;
 
 exports.handler = async (event) => {
   try {
-    const { method } = event;
+    const method = event.httpMethod;
     
     if (method === 'GET') {
       // Health check
@@ -31,35 +35,69 @@ exports.handler = async (event) => {
       };
     }
     
-    const contentType = event.headers['content-type'];
+    // Netlify Functions don't support multipart/form-data natively, so every request is sent as JSON
     let body;
-    
-    if (contentType && contentType.includes('multipart/form-data')) {
-      // Handle form data (for file uploads)
-      // Note: Netlify Functions don't support multipart/form-data natively
-      // This is a simplified version - in production, you'd need a different approach
-      body = JSON.parse(event.body);
-    } else {
+    try {
       body = JSON.parse(event.body);
+    } catch (error) {
+      return {
+        statusCode: 400,
+        body: JSON.stringify({ error: 'The request body must be valid JSON.' })
+      };
     }
     
-    const { type, portfolioData, theme, profilePictureUrl } = body;
+    const { type, theme, profilePictureUrl } = body;
+    if (profilePictureUrl && !isImageSource(profilePictureUrl)) {
+      return {
+        statusCode: 422,
+        body: JSON.stringify({ error: 'Some portfolio fields are invalid.', fields: [{ field: 'profilePictureUrl', message: 'Must be a PNG, JPEG, GIF or WebP image, or an http(s) URL.' }] })
+      };
+    }
+    
+    let expiresAt;
+    try {
+      expiresAt = parseExpiresAt(body.expiresAt);
+    } catch (error) {
+      return {
+        statusCode: 400,
+        body: JSON.stringify({ error: error.message })
+      };
+    }
     
     if (type === 'manual') {
       // Manual portfolio creation
+      const { data: portfolioData, errors } = validatePortfolioData(body.portfolioData);
+      if (errors.length > 0) {
+        return {
+          statusCode: 422,
+          body: JSON.stringify({ error: 'Some portfolio fields are invalid.', fields: errors })
+        };
+      }
       const portfolioId = uuidv4();
+      const editToken = generateEditToken();
+      let storedTheme;
       
-      // Store in Supabase
-      const { data, error } = await supabase
-        .from('portfolios')
-        .insert([{
-          share_id: portfolioId,
-          portfolio_data: portfolioData,
-          profile_picture_url: profilePictureUrl,
-          selected_theme: theme.name
-        }]);
-      
-      if (error) {
+      try {
+        const store = await getStore();
+        storedTheme = theme ? await findTheme(store, theme) : themes.Default;
+        if (!storedTheme) {
+          return {
+            statusCode: 422,
+            body: JSON.stringify({ error: 'Some portfolio fields are invalid.', fields: [{ field: 'theme', message: 'Unknown theme.' }] })
+          };
+        }
+        await store.create(portfolioId, {
+          data: portfolioData,
+          theme: storedTheme,
+          profilePictureUrl: profilePictureUrl || '',
+          editTokenHash: hashEditToken(editToken),
+          revisions: [createRevision(1, portfolioData, storedTheme)],
+          published: true,
+          expiresAt,
+          createdAt: new Date().toISOString()
+        });
+      } catch (error) {
+        console.error('Store error:', error);
         return {
           statusCode: 500,
           body: JSON.stringify({ error: 'Failed to save portfolio' })
@@ -70,8 +108,10 @@ exports.handler = async (event) => {
         statusCode: 200,
         body: JSON.stringify({
           portfolioId,
+          editToken,
+          expiresAt,
           portfolioData,
-          theme,
+          theme: storedTheme,
           profilePictureUrl
         })
       };
@@ -82,23 +122,37 @@ exports.handler = async (event) => {
       // Note: This is a simplified version without actual file processing
       // In a real implementation, you'd need to handle file uploads differently
       
-      // Simulate AI processing
-      const parsedData = await parseResumeWithAI(body.resumeText || '');
-      const selectedTheme = await classifyProfessionAndSelectTheme(parsedData);
+      // parser: "heuristic" keeps the resume away from the AI provider; AI failures fall back to it too
+      const parser = body.parser || 'ai';
+      if (!PARSERS.includes(parser)) {
+        return {
+          statusCode: 400,
+          body: JSON.stringify({ error: `parser must be one of: ${PARSERS.join(', ')}.` })
+        };
+      }
+      parseCache = parseCache || createParseCache(await getStore());
+      // force: true parses the resume again instead of reusing a cached result
+      const parsed = await parseResume(llm, body.resumeText || '', { parser, cache: parseCache, force: body.force === true });
+      const parsedData = parsed.parsedData;
+      const selectedTheme = parsed.theme;
       
       const portfolioId = uuidv4();
+      const editToken = generateEditToken();
       
-      // Store in Supabase
-      const { data, error } = await supabase
-        .from('portfolios')
-        .insert([{
-          share_id: portfolioId,
-          portfolio_data: parsedData,
-          profile_picture_url: body.profilePictureUrl || '',
-          selected_theme: selectedTheme.name
-        }]);
-      
-      if (error) {
+      try {
+        const store = await getStore();
+        await store.create(portfolioId, {
+          data: parsedData,
+          theme: selectedTheme,
+          profilePictureUrl: body.profilePictureUrl || '',
+          editTokenHash: hashEditToken(editToken),
+          revisions: [createRevision(1, parsedData, selectedTheme)],
+          published: true,
+          expiresAt,
+          createdAt: new Date().toISOString()
+        });
+      } catch (error) {
+        console.error('Store error:', error);
         return {
           statusCode: 500,
           body: JSON.stringify({ error: 'Failed to save portfolio' })
@@ -109,6 +163,13 @@ exports.handler = async (event) => {
         statusCode: 200,
         body: JSON.stringify({
           portfolioId,
+          editToken,
+          expiresAt,
+          parser: parsed.parser,
+          parserFallback: parsed.fallback,
+          cached: parsed.cached,
+          missingFields: parsed.missingFields,
+          classification: parsed.classification,
           portfolioData: parsedData,
           theme: selectedTheme,
           profilePictureUrl: body.profilePictureUrl || ''
@@ -130,105 +191,3 @@ exports.handler = async (event) => {
   }
 };
 
-// Helper functions (simplified for Netlify Functions)
-async function parseResumeWithAI(resumeText) {
-  const model = genAI.getGenerativeModel({ model: "gemini-1.5-flash" });
-  
-  const prompt = `
-      You are an expert resume parser. Analyze the following resume text and extract the information into a structured JSON object.
-      The JSON object should have the following keys:
-      - "personalInfo": An object with "name", "email", "phone", "website", "linkedin", and "github".
-      - "summary": A string containing the professional summary or objective.
-      - "skills": An array of strings listing all technical and soft skills.
-      - "experience": An array of objects, where each object has "company", "role", "dates", and "description" (as an array of strings).
-      - "projects": An array of objects, where each object has "title", "description", and "link".
-      - "education": An array of objects, where each object has "institution", "degree", and "dates".
-      
-      Important: For LinkedIn and GitHub, extract only the username, not the full URL.
-      If a piece of information is not found, return null for its value.
-      Ensure the output is ONLY the raw JSON object, without any markdown formatting like \`\`\`json.
-  `;
-  
-  try {
-    const result = await model.generateContent(prompt + "\n\n--- RESUME TEXT ---\n\n" + resumeText);
-    const response = await result.response;
-    let jsonText = response.text().replace(/```json/g, '').replace(/```/g, '').trim();
-    
-    if (!jsonText.startsWith('{')) {
-      const jsonMatch = jsonText.match(/\{[\s\S]*\}/);
-      if (jsonMatch) {
-        jsonText = jsonMatch[0];
-      }
-    }
-    
-    return JSON.parse(jsonText);
-  } catch (e) {
-    console.error("Failed to parse JSON from AI response:", e);
-    throw new Error("AI model returned an invalid JSON format.");
-  }
-}
-
-async function classifyProfessionAndSelectTheme(parsedData) {
-  const model = genAI.getGenerativeModel({ model: "gemini-1.5-flash" });
-  const skillsArray = Array.isArray(parsedData.skills) ? parsedData.skills : [];
-  const professionalSummary = `Summary: ${parsedData.summary || ''}. Skills: ${skillsArray.join(', ')}.`;
-  const prompt = `
-      Based on the following professional summary and skills, classify the profession into one of these categories:
-      - Software Developer
-      - Graphic Designer
-      - Data Scientist
-      If the profession doesn't clearly fit, respond with "Default".
-      Respond with ONLY the category name.
-  `;
-  try {
-    const result = await model.generateContent(prompt + "\n\n" + professionalSummary);
-    const response = await result.response;
-    const profession = response.text().trim();
-    
-    console.log(`AI Classified Profession as: ${profession}`);
-    
-    const themes = {
-      'Software Developer': {
-        name: 'Developer Dark',
-        background: 'bg-gray-900 text-white',
-        primaryColor: 'bg-blue-500',
-        secondaryColor: 'text-blue-400',
-        card: 'bg-gray-800',
-        font: 'font-mono',
-        buttonStyle: 'bg-blue-600 hover:bg-blue-700'
-      },
-      'Graphic Designer': {
-        name: 'Designer Light',
-        background: 'bg-white text-gray-800',
-        primaryColor: 'bg-pink-500',
-        secondaryColor: 'text-pink-500',
-        card: 'bg-gray-50',
-        font: 'font-sans',
-        buttonStyle: 'bg-pink-600 hover:bg-pink-700'
-      },
-      'Data Scientist': {
-        name: 'Data Green',
-        background: 'bg-gray-800 text-gray-100',
-        primaryColor: 'bg-green-500',
-        secondaryColor: 'text-green-400',
-        card: 'bg-gray-700',
-        font: 'font-sans',
-        buttonStyle: 'bg-green-600 hover:bg-green-700'
-      },
-      'Default': {
-        name: 'Professional Blue',
-        background: 'bg-gray-100 text-gray-900',
-        primaryColor: 'bg-indigo-600',
-        secondaryColor: 'text-indigo-500',
-        card: 'bg-white',
-        font: 'font-sans',
-        buttonStyle: 'bg-indigo-600 hover:bg-indigo-700'
-      }
-    };
-    
-    return themes[profession] || themes['Default'];
-  } catch (error) {
-    console.error("Error classifying profession:", error);
-    return themes['Default'];
-  }
-}
\ No newline at end of file
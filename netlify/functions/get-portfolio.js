@@ -1,58 +1,84 @@
-const { createClient } = require('@supabase/supabase-js');
-
-// Initialize Supabase client with anon key for public access
-const supabase = createClient(
-  process.env.SUPABASE_URL,
-  process.env.SUPABASE_ANON_KEY
-);
+const { getStore } = require('../../backend/lib/storage');
+const { getAvailability } = require('../../backend/lib/lifecycle');
+const { normalizeSlug } = require('../../backend/lib/slugs');
+const { sortByDate, totalYearsOfExperience, formatYearsOfExperience } = require('../../backend/lib/dates');
+const { html, safeUrl } = require('../../backend/lib/html');
+const { visibleCustomSections } = require('../../backend/lib/portfolio-schema');
+const { themeStyles } = require('../../backend/lib/themes');
 
 exports.handler = async (event) => {
   try {
-    const shareId = event.queryStringParameters.id;
+    const params = event.queryStringParameters || {};
+    const store = await getStore();
+    let shareId = params.id;
+    let portfolio = shareId ? await store.get(shareId) : null;
     
-    // Fetch portfolio from Supabase
-    const { data, error } = await supabase
-      .from('portfolios')
-      .select('*')
-      .eq('share_id', shareId)
-      .single();
+    // /p/:slug links arrive as ?slug=; retired slugs redirect to the current one
+    if (params.slug) {
+      const slug = normalizeSlug(params.slug);
+      const match = await store.findBySlug(slug);
+      if (match && match.record.slug !== slug) {
+        return {
+          statusCode: 301,
+          headers: { Location: `/p/${match.record.slug}` },
+          body: ''
+        };
+      }
+      shareId = match ? match.id : null;
+      portfolio = match ? match.record : null;
+    }
     
-    if (error || !data) {
-      return { 
-        statusCode: 404, 
-        headers: { 'Content-Type': 'text/html' },
-        body: '<!DOCTYPE html><html><head><title>Portfolio Not Found</title></head><body><h1>Portfolio Not Found</h1><p>The portfolio you are looking for does not exist or may have expired.</p></body></html>'
-      };
+    if (!portfolio) {
+      return errorPage(404, 'Portfolio Not Found', 'The portfolio you are looking for does not exist or may have expired.');
+    }
+    
+    const availability = getAvailability(portfolio);
+    if (availability !== 'available') {
+      return errorPage(410, 'Portfolio Unavailable', availability === 'expired'
+        ? 'This portfolio has expired and is no longer available.'
+        : 'The owner has unpublished this portfolio.');
     }
     
     // Generate HTML for the portfolio
-    const html = generatePortfolioHTML(data);
+    const page = generatePortfolioHTML(shareId, portfolio);
     
     return {
       statusCode: 200,
       headers: {
         'Content-Type': 'text/html',
       },
-      body: html
+      body: String(page)
     };
   } catch (error) {
     console.error('Error in get-portfolio function:', error);
-    return { 
-      statusCode: 500, 
-      headers: { 'Content-Type': 'text/html' },
-      body: '<!DOCTYPE html><html><head><title>Error</title></head><body><h1>Server Error</h1><p>We encountered an error while loading this portfolio. Please try again later.</p></body></html>'
-    };
+    return errorPage(500, 'Server Error', 'We encountered an error while loading this portfolio. Please try again later.');
   }
 };
 
-function generatePortfolioHTML(data) {
-  const { portfolio_data, profile_picture_url, selected_theme } = data;
-  const { personalInfo, summary, skills, experience, projects } = portfolio_data;
+function errorPage(statusCode, title, message) {
+  return {
+    statusCode,
+    headers: { 'Content-Type': 'text/html' },
+    body: String(html`<!DOCTYPE html><html><head><title>${title}</title></head><body><h1>${title}</h1><p>${message}</p></body></html>`)
+  };
+}
+
+function generatePortfolioHTML(shareId, portfolio) {
+  const { data: portfolioData, profilePictureUrl, theme } = portfolio;
+  const { personalInfo, summary, skillGroups, projects, certifications, awards, languages, publications } = portfolioData;
+  // Skills matching the job a tailored copy was made for
+  const highlightedSkills = portfolio.tailoring ? portfolio.tailoring.highlightedSkills : [];
+  // Newest first; years are counted at render time so current jobs keep counting
+  const experience = sortByDate(portfolioData.experience);
+  const education = sortByDate(portfolioData.education);
+  const customSections = visibleCustomSections(portfolioData);
+  const yearsOfExperience = formatYearsOfExperience(totalYearsOfExperience(experience));
   
-  // Get theme styles
-  const themeStyles = getThemeStyles(selected_theme);
+  const styles = themeStyles(theme);
+  const pictureUrl = safeUrl(profilePictureUrl, { images: true });
+  const shareUrl = portfolio.slug ? `${process.env.URL}/p/${portfolio.slug}` : `${process.env.URL}/shared/${shareId}`;
   
-  return `
+  return html`
     <!DOCTYPE html>
     <html lang="en">
     <head>
@@ -62,17 +88,17 @@ function generatePortfolioHTML(data) {
         
         <!-- Open Graph / Facebook -->
         <meta property="og:type" content="website" />
-        <meta property="og:url" content="${process.env.URL}/shared/${data.share_id}" />
+        <meta property="og:url" content="${shareUrl}" />
         <meta property="og:title" content="${personalInfo.name || 'Portfolio'}" />
         <meta property="og:description" content="${summary || 'Professional portfolio'}" />
-        <meta property="og:image" content="${profile_picture_url || 'https://via.placeholder.com/1200x627/4F46E5/FFFFFF?text=Portfolio'}" />
+        <meta property="og:image" content="${pictureUrl || 'https://via.placeholder.com/1200x627/4F46E5/FFFFFF?text=Portfolio'}" />
         
         <!-- Twitter -->
         <meta property="twitter:card" content="summary_large_image" />
-        <meta property="twitter:url" content="${process.env.URL}/shared/${data.share_id}" />
+        <meta property="twitter:url" content="${shareUrl}" />
         <meta property="twitter:title" content="${personalInfo.name || 'Portfolio'}" />
         <meta property="twitter:description" content="${summary || 'Professional portfolio'}" />
-        <meta property="twitter:image" content="${profile_picture_url || 'https://via.placeholder.com/1200x627/4F46E5/FFFFFF?text=Portfolio'}" />
+        <meta property="twitter:image" content="${pictureUrl || 'https://via.placeholder.com/1200x627/4F46E5/FFFFFF?text=Portfolio'}" />
         
         <script src="https://cdn.tailwindcss.com"></script>
         <link href="https://fonts.googleapis.com/css2?family=Inter:wght@400;500;700&family=Roboto+Mono:wght@400;500&display=swap" rel="stylesheet">
@@ -92,36 +118,35 @@ function generatePortfolioHTML(data) {
             .social-link:hover {
                 transform: translateY(-3px);
             }
-            ${themeStyles}
         </style>
     </head>
-    <body class="${themeStyles.bodyClass} min-h-screen">
+    <body class="${styles.body} min-h-screen">
         <div class="container mx-auto p-4 md:p-8 max-w-5xl">
             <header class="flex flex-col md:flex-row items-center text-center md:text-left gap-8 mb-12">
-                <img src="${profile_picture_url || 'https://via.placeholder.com/150'}" alt="Profile Picture" class="w-36 h-36 rounded-full border-4 ${themeStyles.borderColor} object-cover shadow-lg">
+                <img src="${pictureUrl || 'https://via.placeholder.com/150'}" alt="Profile Picture" class="w-36 h-36 rounded-full border-4 ${styles.border} object-cover shadow-lg">
                 <div>
                     <h1 class="text-4xl md:text-5xl font-bold">${personalInfo.name || 'Your Name'}</h1>
-                    <p class="text-xl ${themeStyles.secondaryColor} mt-1">
+                    <p class="text-xl ${styles.accent} mt-1">
                         ${personalInfo.email ? 
-                            `<a href="mailto:${personalInfo.email}" class="hover:underline">${personalInfo.email}</a>` : 
+                            html`<a href="${safeUrl(`mailto:${personalInfo.email}`)}" class="hover:underline">${personalInfo.email}</a>` : 
                             'your.email@example.com'}
                     </p>
-                    ${personalInfo.phone ? `<p class="${themeStyles.textColor} mb-4"><i class="fas fa-phone mr-2"></i>${personalInfo.phone}</p>` : ''}
+                    ${personalInfo.phone ? html`<p class="${styles.text} mb-4"><i class="fas fa-phone mr-2"></i>${personalInfo.phone}</p>` : ''}
                     <div class="flex justify-center md:justify-start gap-4 mt-4">
-                        ${personalInfo.email ? `
-                            <a href="mailto:${personalInfo.email}" class="social-link ${themeStyles.socialBg} hover:${themeStyles.socialHover} transition-colors" title="Email">
+                        ${personalInfo.email ? html`
+                            <a href="${safeUrl(`mailto:${personalInfo.email}`)}" class="social-link ${styles.social}" title="Email">
                                 <i class="fas fa-envelope text-xl"></i>
                             </a>` : ''}
-                        ${personalInfo.linkedin ? `
-                            <a href="${personalInfo.linkedin}" target="_blank" class="social-link ${themeStyles.socialBg} hover:${themeStyles.socialHover} transition-colors" title="LinkedIn">
+                        ${safeUrl(personalInfo.linkedin) ? html`
+                            <a href="${safeUrl(personalInfo.linkedin)}" target="_blank" rel="noopener noreferrer" class="social-link ${styles.social}" title="LinkedIn">
                                 <i class="fab fa-linkedin text-xl"></i>
                             </a>` : ''}
-                        ${personalInfo.github ? `
-                            <a href="${personalInfo.github}" target="_blank" class="social-link ${themeStyles.socialBg} hover:${themeStyles.socialHover} transition-colors" title="GitHub">
+                        ${safeUrl(personalInfo.github) ? html`
+                            <a href="${safeUrl(personalInfo.github)}" target="_blank" rel="noopener noreferrer" class="social-link ${styles.social}" title="GitHub">
                                 <i class="fab fa-github text-xl"></i>
                             </a>` : ''}
-                        ${personalInfo.website ? `
-                            <a href="${personalInfo.website}" target="_blank" class="social-link ${themeStyles.socialBg} hover:${themeStyles.socialHover} transition-colors" title="Website">
+                        ${safeUrl(personalInfo.website) ? html`
+                            <a href="${safeUrl(personalInfo.website)}" target="_blank" rel="noopener noreferrer" class="social-link ${styles.social}" title="Website">
                                 <i class="fas fa-globe text-xl"></i>
                             </a>` : ''}
                     </div>
@@ -130,102 +155,126 @@ function generatePortfolioHTML(data) {
             <div class="grid md:grid-cols-3 gap-8">
                 <div class="md:col-span-2 space-y-8">
                     <section>
-                        <h2 class="text-2xl font-bold border-b-2 ${themeStyles.borderColor} pb-2 mb-4">Professional Summary</h2>
-                        <p class="${themeStyles.textColor}">${summary || 'No summary provided.'}</p>
+                        <h2 class="text-2xl font-bold border-b-2 ${styles.border} pb-2 mb-4">Professional Summary</h2>
+                        <p class="${styles.text}">${summary || 'No summary provided.'}</p>
                     </section>
                     <section>
-                         <h2 class="text-2xl font-bold border-b-2 ${themeStyles.borderColor} pb-2 mb-4">Work Experience</h2>
-                         ${(experience || []).map(job => `
+                         <h2 class="text-2xl font-bold border-b-2 ${styles.border} pb-2 mb-4">Work Experience${yearsOfExperience ? html` <span class="text-base font-normal ${styles.text}">&middot; ${yearsOfExperience}</span>` : ''}</h2>
+                         ${experience.map(job => html`
                             <div class="mb-4">
                                 <h4 class="text-lg font-bold">${job.role || 'Role'} at ${job.company || 'Company'}</h4>
-                                <p class="text-sm ${themeStyles.secondaryColor} mb-1">${job.dates || ''}</p>
-                                <ul class="list-disc list-inside ${themeStyles.textColor}">
-                                    ${(job.description || []).map(d => `<li>${d}</li>`).join('')}
+                                <p class="text-sm ${styles.accent} mb-1">${job.dates || ''}</p>
+                                <ul class="list-disc list-inside ${styles.text}">
+                                    ${job.description.map(d => html`<li>${d}</li>`)}
                                 </ul>
                             </div>
-                         `).join('') || '<p class="text-gray-500">No work experience listed.</p>'}
+                         `)}
+                         ${experience.length === 0 ? html`<p class="text-gray-500">No work experience listed.</p>` : ''}
                     </section>
+                    ${education.length > 0 ? html`
+                        <section>
+                            <h2 class="text-2xl font-bold border-b-2 ${styles.border} pb-2 mb-4">Education</h2>
+                            ${education.map(entry => html`
+                                <div class="mb-4">
+                                    <h4 class="text-lg font-bold">${entry.degree || entry.institution}</h4>
+                                    ${entry.degree && entry.institution ? html`<p class="${styles.text}">${entry.institution}</p>` : ''}
+                                    <p class="text-sm ${styles.accent} mb-1">${entry.dates || ''}</p>
+                                </div>
+                            `)}
+                        </section>` : ''}
+                    ${publications.length > 0 ? html`
+                        <section>
+                            <h2 class="text-2xl font-bold border-b-2 ${styles.border} pb-2 mb-4">Publications</h2>
+                            ${publications.map(publication => html`
+                                <div class="mb-4">
+                                    <h4 class="font-bold">${safeUrl(publication.link) ? html`<a href="${safeUrl(publication.link)}" target="_blank" rel="noopener noreferrer" class="hover:underline">${publication.title || 'Untitled'}</a>` : publication.title || 'Untitled'}</h4>
+                                    <p class="text-sm ${styles.text}">${[publication.publisher, publication.date].filter(Boolean).join(' · ')}</p>
+                                </div>
+                            `)}
+                        </section>` : ''}
                 </div>
                 <div class="md:col-span-1 space-y-8">
                     <section>
-                         <h2 class="text-2xl font-bold border-b-2 ${themeStyles.borderColor} pb-2 mb-4">Skills</h2>
-                         <div class="flex flex-wrap">
-                            ${(skills || []).map(skill => `<span class="${themeStyles.skillBg} ${themeStyles.skillText} text-sm font-medium mr-2 mb-2 px-3 py-1 rounded-full">${skill}</span>`).join('') || '<p class="text-gray-500">No skills listed.</p>'}
-                         </div>
+                         <h2 class="text-2xl font-bold border-b-2 ${styles.border} pb-2 mb-4">Skills</h2>
+                         ${skillGroups.map(group => html`
+                            <div class="mb-3">
+                                ${skillGroups.length > 1 ? html`<h3 class="text-sm font-semibold uppercase tracking-wide ${styles.accent} mb-2">${group.label}</h3>` : ''}
+                                <div class="flex flex-wrap">
+                                    ${group.skills.map(skill => html`<span class="${styles.chip} text-sm font-medium mr-2 mb-2 px-3 py-1${highlightedSkills.includes(skill) ? ' ring-2 ring-amber-300' : ''}">${highlightedSkills.includes(skill) ? html`<i class="fas fa-star mr-1 text-amber-400"></i>` : ''}${skill}</span>`)}
+                                </div>
+                            </div>
+                         `)}
+                         ${skillGroups.length === 0 ? html`<p class="text-gray-500">No skills listed.</p>` : ''}
                     </section>
                     <section>
-                        <h2 class="text-2xl font-bold border-b-2 ${themeStyles.borderColor} pb-2 mb-4">Projects</h2>
-                        ${(projects || []).map(proj => `
-                            <div class="${themeStyles.cardBg} p-4 rounded-lg mb-4 shadow">
-                                <h4 class="font-bold ${themeStyles.secondaryColor}">${proj.title || 'Project Title'}</h4>
-                                <p class="${themeStyles.textColor} text-sm mt-1">${proj.description || ''}</p>
-                                ${proj.link ? `<a href="${proj.link}" target="_blank" class="text-blue-400 hover:underline text-sm mt-2 inline-block">View Project &rarr;</a>` : ''}
+                        <h2 class="text-2xl font-bold border-b-2 ${styles.border} pb-2 mb-4">Projects</h2>
+                        ${projects.map(proj => html`
+                            <div class="${styles.card} p-4 mb-4 shadow">
+                                <h4 class="font-bold ${styles.accent}">${proj.title || 'Project Title'}</h4>
+                                <p class="${styles.text} text-sm mt-1">${proj.description || ''}</p>
+                                ${safeUrl(proj.link) ? html`<a href="${safeUrl(proj.link)}" target="_blank" rel="noopener noreferrer" class="text-blue-400 hover:underline text-sm mt-2 inline-block">View Project &rarr;</a>` : ''}
                             </div>
-                        `).join('') || '<p class="text-gray-500">No projects listed.</p>'}
+                        `)}
+                        ${projects.length === 0 ? html`<p class="text-gray-500">No projects listed.</p>` : ''}
                     </section>
+                    ${certifications.length > 0 ? html`
+                        <section>
+                            <h2 class="text-2xl font-bold border-b-2 ${styles.border} pb-2 mb-4">Certifications</h2>
+                            ${certifications.map(certification => html`
+                                <div class="mb-3">
+                                    <h4 class="font-bold ${styles.accent}">${safeUrl(certification.link) ? html`<a href="${safeUrl(certification.link)}" target="_blank" rel="noopener noreferrer" class="hover:underline">${certification.name || 'Certification'}</a>` : certification.name || 'Certification'}</h4>
+                                    <p class="text-sm ${styles.text}">${[certification.issuer, certification.date].filter(Boolean).join(' · ')}</p>
+                                </div>
+                            `)}
+                        </section>` : ''}
+                    ${awards.length > 0 ? html`
+                        <section>
+                            <h2 class="text-2xl font-bold border-b-2 ${styles.border} pb-2 mb-4">Awards</h2>
+                            ${awards.map(award => html`
+                                <div class="mb-3">
+                                    <h4 class="font-bold ${styles.accent}">${award.title || 'Award'}</h4>
+                                    <p class="text-sm ${styles.text}">${[award.issuer, award.date].filter(Boolean).join(' · ')}</p>
+                                    ${award.description ? html`<p class="${styles.text} text-sm mt-1">${award.description}</p>` : ''}
+                                </div>
+                            `)}
+                        </section>` : ''}
+                    ${languages.length > 0 ? html`
+                        <section>
+                            <h2 class="text-2xl font-bold border-b-2 ${styles.border} pb-2 mb-4">Languages</h2>
+                            <ul class="${styles.text} space-y-1">
+                                ${languages.map(entry => html`<li><span class="font-medium">${entry.language || ''}</span>${entry.proficiency ? html` &middot; ${entry.proficiency}` : ''}</li>`)}
+                            </ul>
+                        </section>` : ''}
                 </div>
             </div>
+            ${customSections.map(section => html`
+                <section class="mt-8">
+                    <h2 class="text-2xl font-bold border-b-2 ${styles.border} pb-2 mb-4">${section.title}</h2>
+                    ${section.type === 'text' ? html`<p class="${styles.text} whitespace-pre-line">${section.body}</p>` : ''}
+                    ${section.type === 'list' ? html`
+                        <ul class="list-disc list-inside ${styles.text} space-y-1">
+                            ${section.items.map(item => html`<li>${item}</li>`)}
+                        </ul>` : ''}
+                    ${section.type === 'cards' ? html`
+                        <div class="grid md:grid-cols-2 gap-4">
+                            ${section.cards.map(card => html`
+                                <div class="${styles.card} p-4 shadow">
+                                    <h4 class="font-bold ${styles.accent}">${safeUrl(card.link) ? html`<a href="${safeUrl(card.link)}" target="_blank" rel="noopener noreferrer" class="hover:underline">${card.title || 'Untitled'}</a>` : card.title || 'Untitled'}</h4>
+                                    ${card.subtitle || card.dates ? html`<p class="text-sm ${styles.text}">${[card.subtitle, card.dates].filter(Boolean).join(' · ')}</p>` : ''}
+                                    ${card.body ? html`<p class="${styles.text} text-sm mt-2">${card.body}</p>` : ''}
+                                </div>
+                            `)}
+                        </div>` : ''}
+                </section>
+            `)}
             
             <!-- Add a footer with the portfolio URL -->
-            <footer class="mt-12 pt-6 border-t ${themeStyles.borderColor.replace('border-', 'border-')} text-center ${themeStyles.textColor} text-sm">
+            <footer class="mt-12 pt-6 border-t ${styles.border} text-center ${styles.text} text-sm">
                 <p>This portfolio was created with PortfolioForge AI</p>
-                <p class="mt-2">Shared via: ${process.env.URL}/shared/${data.share_id}</p>
+                <p class="mt-2">Shared via: ${shareUrl}</p>
             </footer>
         </div>
     </body>
     </html>
   `;
 }
-
-function getThemeStyles(themeName) {
-  switch (themeName) {
-    case 'Software Developer':
-      return {
-        bodyClass: 'bg-gray-900 text-white',
-        textColor: 'text-gray-300',
-        secondaryColor: 'text-blue-400',
-        borderColor: 'border-blue-400',
-        skillBg: 'bg-blue-500',
-        skillText: 'text-white',
-        cardBg: 'bg-gray-800',
-        socialBg: 'bg-gray-800',
-        socialHover: 'bg-gray-700',
-      };
-    case 'Graphic Designer':
-      return {
-        bodyClass: 'bg-white text-gray-800',
-        textColor: 'text-gray-700',
-        secondaryColor: 'text-pink-500',
-        borderColor: 'border-pink-500',
-        skillBg: 'bg-pink-100',
-        skillText: 'text-pink-800',
-        cardBg: 'bg-gray-50',
-        socialBg: 'bg-pink-100',
-        socialHover: 'bg-pink-200',
-      };
-    case 'Data Scientist':
-      return {
-        bodyClass: 'bg-gray-800 text-gray-100',
-        textColor: 'text-gray-300',
-        secondaryColor: 'text-green-400',
-        borderColor: 'border-green-400',
-        skillBg: 'bg-green-500',
-        skillText: 'text-white',
-        cardBg: 'bg-gray-700',
-        socialBg: 'bg-gray-700',
-        socialHover: 'bg-gray-600',
-      };
-    default: // Default theme
-      return {
-        bodyClass: 'bg-gray-100 text-gray-900',
-        textColor: 'text-gray-700',
-        secondaryColor: 'text-indigo-500',
-        borderColor: 'border-indigo-500',
-        skillBg: 'bg-indigo-100',
-        skillText: 'text-indigo-800',
-        cardBg: 'bg-white',
-        socialBg: 'bg-indigo-100',
-        socialHover: 'bg-indigo-200',
-      };
-  }
-}
\ No newline at end of file
@@ -1,31 +1,76 @@
-const { createClient } = require('@supabase/supabase-js');
 const { v4: uuidv4 } = require('uuid');
-
-// Initialize Supabase client
-const supabase = createClient(
-  process.env.SUPABASE_URL,
-  process.env.SUPABASE_ANON_KEY
-);
+const { getStore } = require('../../backend/lib/storage');
+const { generateEditToken, hashEditToken } = require('../../backend/lib/edit-tokens');
+const { validatePortfolioData } = require('../../backend/lib/portfolio-schema');
+const { themes, findTheme } = require('../../backend/lib/themes');
+const { createRevision } = require('../../backend/lib/revisions');
+const { parseExpiresAt } = require('../../backend/lib/lifecycle');
+const { isImageSource } = require('../../backend/lib/html');
 
 exports.handler = async (event) => {
   try {
-    const { portfolioData, profilePictureUrl, selectedTheme } = JSON.parse(event.body);
+    let body;
+    try {
+      body = JSON.parse(event.body);
+    } catch (error) {
+      return {
+        statusCode: 400,
+        body: JSON.stringify({ error: 'The request body must be valid JSON.' })
+      };
+    }
+    const { profilePictureUrl, selectedTheme, theme } = body;
+    const { data: portfolioData, errors } = validatePortfolioData(body.portfolioData);
+    if (errors.length > 0) {
+      return {
+        statusCode: 422,
+        body: JSON.stringify({ error: 'Some portfolio fields are invalid.', fields: errors })
+      };
+    }
+    if (profilePictureUrl && !isImageSource(profilePictureUrl)) {
+      return {
+        statusCode: 422,
+        body: JSON.stringify({ error: 'Some portfolio fields are invalid.', fields: [{ field: 'profilePictureUrl', message: 'Must be a PNG, JPEG, GIF or WebP image, or an http(s) URL.' }] })
+      };
+    }
+    
+    let expiresAt;
+    try {
+      expiresAt = parseExpiresAt(body.expiresAt);
+    } catch (error) {
+      return {
+        statusCode: 400,
+        body: JSON.stringify({ error: error.message })
+      };
+    }
     
     // Generate a unique share ID
     const shareId = uuidv4();
+    const editToken = generateEditToken();
     
-    // Store portfolio in Supabase
-    const { data, error } = await supabase
-      .from('portfolios')
-      .insert([{
-        share_id: shareId,
-        portfolio_data: portfolioData,
-        profile_picture_url: profilePictureUrl,
-        selected_theme: selectedTheme
-      }]);
-    
-    if (error) {
-      console.error('Supabase error:', error);
+    // Store the portfolio in the same record shape the Express server uses
+    try {
+      const store = await getStore();
+      // The theme is a registry theme (or its key); older clients send just the key as selectedTheme
+      const reference = theme || selectedTheme;
+      const storedTheme = reference ? await findTheme(store, reference) : themes.Default;
+      if (!storedTheme) {
+        return {
+          statusCode: 422,
+          body: JSON.stringify({ error: 'Some portfolio fields are invalid.', fields: [{ field: 'theme', message: 'Unknown theme.' }] })
+        };
+      }
+      await store.create(shareId, {
+        data: portfolioData,
+        theme: storedTheme,
+        profilePictureUrl: profilePictureUrl || '',
+        editTokenHash: hashEditToken(editToken),
+        revisions: [createRevision(1, portfolioData, storedTheme)],
+        published: true,
+        expiresAt,
+        createdAt: new Date().toISOString()
+      });
+    } catch (error) {
+      console.error('Store error:', error);
       return { 
         statusCode: 500, 
         body: JSON.stringify({ error: 'Failed to save portfolio' }) 
@@ -39,7 +84,8 @@ exports.handler = async (event) => {
       statusCode: 200,
       body: JSON.stringify({ 
         shareUrl, 
-        shareId 
+        shareId,
+        editToken
       })
     };
   } catch (error) {
@@ -0,0 +1,21 @@
+const { getStore } = require('../../backend/lib/storage');
+const { sweepExpired } = require('../../backend/lib/lifecycle');
+
+// Scheduled function (see netlify.toml): purges portfolios whose expiresAt has passed
+exports.handler = async () => {
+  try {
+    const store = await getStore();
+    const removed = await sweepExpired(store);
+    console.log(`Expiry sweep removed ${removed} portfolio(s)`);
+    return {
+      statusCode: 200,
+      body: JSON.stringify({ removed })
+    };
+  } catch (error) {
+    console.error('Error in sweep-expired function:', error);
+    return {
+      statusCode: 500,
+      body: JSON.stringify({ error: 'Internal server error' })
+    };
+  }
+};
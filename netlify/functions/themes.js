@@ -0,0 +1,84 @@
+const { getStore } = require('../../backend/lib/storage');
+const { checkEditToken } = require('../../backend/lib/edit-tokens');
+const { MAX_CUSTOM_THEMES, validateTheme, findTheme, listThemes, createCustomTheme, withStyles } = require('../../backend/lib/themes');
+
+// The theme registry; see /api/themes and /api/portfolio/:id/themes in backend/server.js. GET lists the built-in
+// themes, or one with ?key=. With ?id= (and that portfolio's edit token) GET adds the portfolio's custom themes
+// and POST saves a new one from the theme builder.
+exports.handler = async (event) => {
+  try {
+    const store = await getStore();
+    const { key, id } = event.queryStringParameters || {};
+    const portfolio = id ? await store.get(id) : null;
+
+    if (id) {
+      const denied = checkEditToken(portfolio, event.headers);
+      if (denied) {
+        return {
+          statusCode: denied.status,
+          body: JSON.stringify({ error: denied.error })
+        };
+      }
+    }
+
+    if (event.httpMethod === 'POST' && id) {
+      let body;
+      try {
+        body = JSON.parse(event.body || '{}');
+      } catch (error) {
+        return {
+          statusCode: 400,
+          body: JSON.stringify({ error: 'The request body must be valid JSON.' })
+        };
+      }
+      const { theme, errors } = validateTheme(body);
+      if (errors.length > 0) {
+        return {
+          statusCode: 422,
+          body: JSON.stringify({ error: 'Some theme fields are invalid.', fields: errors })
+        };
+      }
+      const saved = await createCustomTheme(store, id, theme);
+      if (!saved && !(await store.get(id))) {
+        return {
+          statusCode: 404,
+          body: JSON.stringify({ error: 'Portfolio not found' })
+        };
+      }
+      if (!saved) {
+        return {
+          statusCode: 409,
+          body: JSON.stringify({ error: `A portfolio can keep at most ${MAX_CUSTOM_THEMES} custom themes.` })
+        };
+      }
+      return {
+        statusCode: 201,
+        body: JSON.stringify({ theme: withStyles(saved) })
+      };
+    }
+
+    if (event.httpMethod !== 'GET') {
+      return {
+        statusCode: 405,
+        body: JSON.stringify({ error: 'Method not allowed' })
+      };
+    }
+
+    if (key) {
+      const theme = await findTheme(store, key);
+      return theme
+        ? { statusCode: 200, body: JSON.stringify({ theme: withStyles(theme) }) }
+        : { statusCode: 404, body: JSON.stringify({ error: 'Theme not found' }) };
+    }
+    return {
+      statusCode: 200,
+      body: JSON.stringify({ themes: (await listThemes(store, id, portfolio && portfolio.theme)).map(withStyles) })
+    };
+  } catch (error) {
+    console.error('Error in themes function:', error);
+    return {
+      statusCode: 500,
+      body: JSON.stringify({ error: 'Internal server error' })
+    };
+  }
+};
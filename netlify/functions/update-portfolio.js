@@ -0,0 +1,85 @@
+const { getStore } = require('../../backend/lib/storage');
+const { checkEditToken } = require('../../backend/lib/edit-tokens');
+const { validatePortfolioData } = require('../../backend/lib/portfolio-schema');
+const { appendRevision, latestRevisionNumber } = require('../../backend/lib/revisions');
+const { findTheme } = require('../../backend/lib/themes');
+const { isImageSource } = require('../../backend/lib/html');
+
+// Saves the editor's changes to a portfolio; see /api/update-portfolio/:id in backend/server.js
+exports.handler = async (event) => {
+  if (event.httpMethod !== 'POST') {
+    return {
+      statusCode: 405,
+      body: JSON.stringify({ error: 'Method not allowed' })
+    };
+  }
+  try {
+    const id = event.queryStringParameters && event.queryStringParameters.id;
+    const store = await getStore();
+    const current = id ? await store.get(id) : null;
+    const denied = checkEditToken(current, event.headers);
+    if (denied) {
+      return {
+        statusCode: denied.status,
+        body: JSON.stringify({ error: denied.error })
+      };
+    }
+
+    let body;
+    try {
+      body = JSON.parse(event.body || '{}');
+    } catch (error) {
+      return {
+        statusCode: 400,
+        body: JSON.stringify({ error: 'The request body must be valid JSON.' })
+      };
+    }
+    const { data: portfolioData, errors } = validatePortfolioData(body.portfolioData);
+    if (errors.length > 0) {
+      return {
+        statusCode: 422,
+        body: JSON.stringify({ error: 'Some portfolio fields are invalid.', fields: errors })
+      };
+    }
+    if (body.profilePictureUrl && !isImageSource(body.profilePictureUrl)) {
+      return {
+        statusCode: 422,
+        body: JSON.stringify({ error: 'Some portfolio fields are invalid.', fields: [{ field: 'profilePictureUrl', message: 'Must be a PNG, JPEG, GIF or WebP image, or an http(s) URL.' }] })
+      };
+    }
+    // Saves that don't name a theme keep the current one
+    const theme = body.theme ? await findTheme(store, body.theme, id, current.theme) : undefined;
+    if (theme === null) {
+      return {
+        statusCode: 422,
+        body: JSON.stringify({ error: 'Some portfolio fields are invalid.', fields: [{ field: 'theme', message: 'Unknown theme.' }] })
+      };
+    }
+
+    const updated = await store.update(id, current => ({
+      ...current,
+      data: portfolioData,
+      theme: theme || current.theme,
+      profilePictureUrl: body.profilePictureUrl,
+      revisions: appendRevision(current, portfolioData, theme || current.theme),
+      updatedAt: new Date().toISOString()
+    }));
+    if (!updated) {
+      return {
+        statusCode: 404,
+        body: JSON.stringify({ error: 'Portfolio not found' })
+      };
+    }
+
+    return {
+      statusCode: 200,
+      body: JSON.stringify({ success: true, portfolioId: id, revision: latestRevisionNumber(updated), portfolioData })
+    };
+  } catch (error) {
+    console.error('Error in update-portfolio function:', error);
+    return {
+      statusCode: 500,
+      body: JSON.stringify({ error: 'Internal server error' })
+    };
+  }
+};